@@ -0,0 +1,41 @@
+import type { TranslationIssue } from './commands';
+import type { TranslationPageResult } from './plugin';
+
+export interface TranslationBaselineOptions {
+  file?: string;
+  update?: boolean;
+}
+
+export interface TranslationBaselineEntry {
+  fingerprint: string;
+  url: string;
+  locale?: string;
+  type: TranslationIssue['type'];
+  selector: string | null;
+  attribute?: string;
+  origin?: string;
+  pseudoElement?: '::before' | '::after';
+  text: string;
+}
+
+export interface TranslationBaselineComparison {
+  mode: 'off' | 'update' | 'compare';
+  results: TranslationPageResult[];
+  known: number;
+  fixed: TranslationBaselineEntry[];
+}
+
+export declare const defaultBaselineOptions: Required<TranslationBaselineOptions>;
+
+export declare function fingerprintIssue(result: TranslationPageResult, issue: TranslationIssue): string;
+
+export declare function readBaseline(file: string): TranslationBaselineEntry[];
+
+export declare function createBaselineEntries(results: TranslationPageResult[]): TranslationBaselineEntry[];
+
+export declare function writeBaseline(file: string, results: TranslationPageResult[]): TranslationBaselineEntry[];
+
+export declare function compareWithBaseline(
+  results: TranslationPageResult[],
+  baseline: TranslationBaselineEntry[]
+): Omit<TranslationBaselineComparison, 'mode'>;
@@ -0,0 +1,154 @@
+/**
+ * Cypress Translation Checker - Baseline support
+ * Known issues are recorded in a committed baseline file so only new issues fail the build
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Default baseline options
+ * @param {string} file - Baseline file path (relative to the project root)
+ * @param {boolean} update - Whether to record all current issues instead of comparing against them
+ */
+const defaultBaselineOptions = {
+  file: 'translation-baseline.json',
+  update: false
+};
+
+/**
+ * Identifies the page an issue was found on
+ * Pages checked in several locales are fingerprinted per locale
+ */
+const pageIdentifier = (result) => {
+  return result.locale ? `${result.url}|${result.locale}` : result.url;
+};
+
+/**
+ * Creates a stable fingerprint for an issue from its page, selector and text
+ * @param {Object} result - Page result the issue belongs to
+ * @param {Object} issue - Translation issue
+ * @returns {string} Hex fingerprint
+ */
+const fingerprintIssue = (result, issue) => {
+  const parts = [
+    pageIdentifier(result),
+    issue.selector || issue.xpath || '',
+    issue.attribute || issue.origin || issue.pseudoElement || '',
+    String(issue.text || '').replace(/\s+/g, ' ').trim()
+  ];
+
+  return crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+};
+
+/**
+ * Reads a baseline file
+ * @param {string} file - Absolute path of the baseline file
+ * @returns {Array<Object>} Baseline entries (empty when the file does not exist)
+ */
+const readBaseline = (file) => {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!baseline || !Array.isArray(baseline.issues)) {
+    throw new Error(`Translation baseline ${file} has no "issues" array`);
+  }
+
+  return baseline.issues;
+};
+
+/**
+ * Builds baseline entries for every issue in the results
+ * Entries are sorted so the committed file produces small diffs
+ * @param {Array<Object>} results - Results from `getTranslationResults`
+ * @returns {Array<Object>} Baseline entries
+ */
+const createBaselineEntries = (results) => {
+  const entries = new Map();
+
+  results.forEach((result) => {
+    result.errors.forEach((issue) => {
+      const fingerprint = fingerprintIssue(result, issue);
+      entries.set(fingerprint, {
+        fingerprint,
+        url: result.url,
+        ...(result.locale ? { locale: result.locale } : {}),
+        type: issue.type,
+        selector: issue.selector || issue.xpath || null,
+        ...(issue.attribute ? { attribute: issue.attribute } : {}),
+        ...(issue.origin ? { origin: issue.origin } : {}),
+        ...(issue.pseudoElement ? { pseudoElement: issue.pseudoElement } : {}),
+        text: issue.text
+      });
+    });
+  });
+
+  return Array.from(entries.values()).sort((a, b) => {
+    return pageIdentifier(a).localeCompare(pageIdentifier(b)) ||
+      String(a.selector).localeCompare(String(b.selector)) ||
+      a.fingerprint.localeCompare(b.fingerprint);
+  });
+};
+
+/**
+ * Writes all current issues to the baseline file
+ * @param {string} file - Absolute path of the baseline file
+ * @param {Array<Object>} results - Results from `getTranslationResults`
+ * @returns {Array<Object>} The recorded entries
+ */
+const writeBaseline = (file, results) => {
+  const issues = createBaselineEntries(results);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ version: BASELINE_VERSION, issues }, null, 2)}\n`);
+  return issues;
+};
+
+/**
+ * Compares results against baseline entries
+ * Only entries for pages that were checked can be reported as fixed
+ * @param {Array<Object>} results - Results from `getTranslationResults`
+ * @param {Array<Object>} baseline - Baseline entries
+ * @returns {{results: Array<Object>, known: number, fixed: Array<Object>}} Results reduced to new issues,
+ *   the number of issues already in the baseline and the baseline entries that no longer occur
+ */
+const compareWithBaseline = (results, baseline) => {
+  const baselineFingerprints = new Set(baseline.map(entry => entry.fingerprint));
+  const seenFingerprints = new Set();
+  const checkedPages = new Set(results.map(pageIdentifier));
+  let known = 0;
+
+  const newResults = results.map((result) => {
+    const errors = result.errors.filter((issue) => {
+      const fingerprint = fingerprintIssue(result, issue);
+      seenFingerprints.add(fingerprint);
+
+      if (baselineFingerprints.has(fingerprint)) {
+        known++;
+        return false;
+      }
+      return true;
+    });
+
+    return { ...result, errors };
+  });
+
+  const fixed = baseline.filter((entry) => {
+    return checkedPages.has(pageIdentifier(entry)) && !seenFingerprints.has(entry.fingerprint);
+  });
+
+  return { results: newResults, known, fixed };
+};
+
+module.exports = {
+  defaultBaselineOptions,
+  fingerprintIssue,
+  readBaseline,
+  createBaselineEntries,
+  writeBaseline,
+  compareWithBaseline
+};
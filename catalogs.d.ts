@@ -0,0 +1,23 @@
+import type { TranslationCatalog } from './index';
+
+export declare const PLACEHOLDER_PATTERN: RegExp;
+
+export declare function flattenCatalog(catalog: TranslationCatalog): Record<string, string>;
+
+export declare function getCatalogKeys(catalogs: Record<string, TranslationCatalog>): Set<string>;
+
+export declare function getFallbackValues(
+  catalogs: Record<string, TranslationCatalog>,
+  sourceLocale: string,
+  locale: string
+): Map<string, string>;
+
+export declare function getValueKeyFinder(
+  catalogs: Record<string, TranslationCatalog>,
+  locale: string
+): (text: string) => string[];
+
+export declare function getValueMatcher(
+  catalogs: Record<string, TranslationCatalog>,
+  locale: string
+): (text: string) => boolean;
@@ -0,0 +1,210 @@
+/**
+ * Translation catalog helpers
+ * Catalogs are plain JSON objects (nested or flat), keyed by locale in the plugin configuration
+ */
+
+const flattenedCache = new WeakMap();
+const keySetCache = new WeakMap();
+const fallbackCache = new WeakMap();
+const valueIndexCache = new WeakMap();
+
+/**
+ * Interpolation placeholders: {{name}}, {name}, ICU arguments with nested branches, {0}, %s, %1$s and %{name}
+ */
+const PLACEHOLDER_PATTERN = /\{\{[^{}]*\}\}|\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\}|%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?[sdifuxXeEgGc@]|%\{\w+\}/;
+
+/**
+ * Flattens a nested catalog into a map of dotted key paths to string values
+ * Flat catalogs (keys already containing dots) are returned unchanged
+ * @param {Object} catalog - Nested or flat translation catalog
+ * @returns {Object<string, string>} Flat map of key path to translated value
+ */
+const flattenCatalog = (catalog) => {
+  if (!catalog || typeof catalog !== 'object') {
+    return {};
+  }
+
+  if (flattenedCache.has(catalog)) {
+    return flattenedCache.get(catalog);
+  }
+
+  const entries = {};
+
+  const walk = (value, prefix) => {
+    if (value && typeof value === 'object') {
+      Object.keys(value).forEach((key) => {
+        walk(value[key], prefix ? `${prefix}.${key}` : key);
+      });
+      return;
+    }
+
+    if (prefix && value !== undefined && value !== null) {
+      entries[prefix] = String(value);
+    }
+  };
+
+  walk(catalog, '');
+  flattenedCache.set(catalog, entries);
+  return entries;
+};
+
+/**
+ * Collects every key path known in any of the given catalogs
+ * @param {Object<string, Object>} catalogs - Catalogs keyed by locale
+ * @returns {Set<string>} All known key paths
+ */
+const getCatalogKeys = (catalogs) => {
+  if (!catalogs || typeof catalogs !== 'object') {
+    return new Set();
+  }
+
+  if (keySetCache.has(catalogs)) {
+    return keySetCache.get(catalogs);
+  }
+
+  const keys = new Set();
+  Object.keys(catalogs).forEach((locale) => {
+    Object.keys(flattenCatalog(catalogs[locale])).forEach(key => keys.add(key));
+  });
+
+  keySetCache.set(catalogs, keys);
+  return keys;
+};
+
+/**
+ * Builds a lookup of source-language values that should not appear in the target locale
+ * A source value qualifies when the target entry for its key is missing or different,
+ * and the same text is not a legitimate value anywhere in the target catalog
+ * @param {Object<string, Object>} catalogs - Catalogs keyed by locale
+ * @param {string} sourceLocale - Locale the application falls back to (e.g. 'en')
+ * @param {string} locale - Locale the page is expected to be rendered in
+ * @returns {Map<string, string>} Map of source-language value to its key path
+ */
+const getFallbackValues = (catalogs, sourceLocale, locale) => {
+  if (!catalogs || typeof catalogs !== 'object' || !locale || locale === sourceLocale) {
+    return new Map();
+  }
+
+  if (!fallbackCache.has(catalogs)) {
+    fallbackCache.set(catalogs, new Map());
+  }
+
+  const cacheKey = `${sourceLocale}|${locale}`;
+  const cached = fallbackCache.get(catalogs);
+  if (cached.has(cacheKey)) {
+    return cached.get(cacheKey);
+  }
+
+  const source = flattenCatalog(catalogs[sourceLocale]);
+  const target = flattenCatalog(catalogs[locale]);
+  const targetValues = new Set(Object.keys(target).map(key => target[key].trim()));
+  const values = new Map();
+
+  Object.keys(source).forEach((key) => {
+    const sourceValue = source[key].trim();
+    if (!sourceValue || targetValues.has(sourceValue)) {
+      return;
+    }
+
+    if (!values.has(sourceValue)) {
+      values.set(sourceValue, key);
+    }
+  });
+
+  cached.set(cacheKey, values);
+  return values;
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalizeWhitespace = value => value.replace(/\s+/g, ' ').trim();
+
+/**
+ * Splits a catalog value into the texts it can render as
+ * Markup splits a value over several text nodes, so every fragment between tags is a text of its own;
+ * the branches of ICU plural and select arguments are texts too, with `#` standing for the number
+ * @param {string} value - Catalog value
+ * @returns {Array<string>} Texts, still containing placeholders
+ */
+const getRenderableTexts = (value) => {
+  const texts = value.split(/<[^>]+>/).map(normalizeWhitespace).filter(Boolean);
+  const argument = new RegExp(PLACEHOLDER_PATTERN.source, 'g');
+
+  (value.match(argument) || []).forEach((placeholder) => {
+    if (/^\{\s*\w+\s*,\s*(?:plural|selectordinal|select)\b/.test(placeholder)) {
+      (placeholder.match(/\{[^{}]*\}/g) || []).forEach((branch) => {
+        texts.push(...getRenderableTexts(branch.slice(1, -1).replace(/#/g, '{#}')));
+      });
+    }
+  });
+
+  return texts;
+};
+
+/**
+ * Builds a lookup from rendered text to the catalog keys whose values can render it
+ * Placeholders match any interpolated text; values that consist of placeholders only are ignored,
+ * as they would match any text
+ * @param {Object<string, Object>} catalogs - Catalogs keyed by locale
+ * @param {string} locale - Locale whose values are matched
+ * @returns {function(string): Array<string>} Keys of the values that can render a text (empty when none can)
+ */
+const getValueKeyFinder = (catalogs, locale) => {
+  if (!catalogs || typeof catalogs !== 'object' || !locale) {
+    return () => [];
+  }
+
+  if (!valueIndexCache.has(catalogs)) {
+    valueIndexCache.set(catalogs, new Map());
+  }
+
+  const cached = valueIndexCache.get(catalogs);
+  if (cached.has(locale)) {
+    return cached.get(locale);
+  }
+
+  const catalog = flattenCatalog(catalogs[locale]);
+  const exactValues = new Map();
+  const templates = [];
+  const placeholders = new RegExp(PLACEHOLDER_PATTERN.source, 'g');
+
+  Object.keys(catalog).forEach((key) => {
+    getRenderableTexts(catalog[key]).forEach((text) => {
+      const literals = text.split(placeholders);
+      if (literals.length === 1) {
+        exactValues.set(text, [...(exactValues.get(text) || []), key]);
+      } else if (/\p{L}/u.test(literals.join(''))) {
+        const pattern = new RegExp(`^${literals.map(literal => escapeRegExp(literal).replace(/ /g, '\\s*')).join('.+?')}$`, 's');
+        templates.push({ key, pattern });
+      }
+    });
+  });
+
+  const finder = (text) => {
+    const candidate = normalizeWhitespace(text);
+    return exactValues.get(candidate) ||
+      templates.filter(template => template.pattern.test(candidate)).map(template => template.key);
+  };
+
+  cached.set(locale, finder);
+  return finder;
+};
+
+/**
+ * Builds a matcher for text rendered from the values of one locale's catalog
+ * @param {Object<string, Object>} catalogs - Catalogs keyed by locale
+ * @param {string} locale - Locale whose values are matched
+ * @returns {function(string): boolean} Whether a text can be rendered from a catalog value
+ */
+const getValueMatcher = (catalogs, locale) => {
+  const findKeys = getValueKeyFinder(catalogs, locale);
+  return text => findKeys(text).length > 0;
+};
+
+module.exports = {
+  PLACEHOLDER_PATTERN,
+  getValueKeyFinder,
+  getValueMatcher,
+  flattenCatalog,
+  getCatalogKeys,
+  getFallbackValues
+};
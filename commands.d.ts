@@ -1,16 +1,107 @@
 /// <reference types="cypress" />
 
+import type {
+  TranslationCatalog,
+  TranslationDocumentLanguageOptions,
+  TranslationFormatDetectionOptions,
+  TranslationHardcodedDetectionOptions,
+  TranslationKeyCoverageOptions,
+  TranslationLanguageDetectionOptions,
+  TranslationLayoutDetectionOptions,
+  TranslationPseudoLocalizationOptions,
+  TranslationScreenshotOptions
+} from './index';
+import type { UrlNormalizationOptions } from './urls';
+import type { TranslationPatternRule, TranslationRuleSetting, TranslationSeverity } from './rules';
+import type { TranslationDetectorName } from './detectors';
+
 export interface TranslationIssue {
-  type: 'text' | 'attribute';
+  type:
+    | 'text'
+    | 'attribute'
+    | 'fallback'
+    | 'layout'
+    | 'document'
+    | 'title'
+    | 'meta'
+    | 'accessible-name'
+    | 'accessible-description'
+    | 'pseudo';
   text: string;
   element: string;
   selector?: string;
   xpath: string;
   attribute?: string;
+  origin?: string;
+  pseudoElement?: '::before' | '::after';
+  key?: string;
+  ruleId?: string;
+  severity?: TranslationSeverity;
+  detectedLanguage?: string;
+  expectedLanguage?: string;
+  confidence?: number;
+  expectedDirection?: 'ltr' | 'rtl';
+  layout?: 'overflow' | 'ellipsis' | 'wrap';
+  direction?: 'horizontal' | 'vertical' | 'both';
+  measurements?: {
+    clientWidth: number;
+    scrollWidth: number;
+    clientHeight: number;
+    scrollHeight: number;
+    lines?: number;
+    maxLines?: number;
+  };
+  formatting?: {
+    kind: 'number' | 'date' | 'time' | 'currency';
+    value: string;
+    expected: string;
+    reason: string;
+  };
+  locale?: string;
+  sourceLocale?: string;
+  framePath?: string[];
+  frameUrl?: string;
+  source?: 'monitor';
+  timestamp?: string;
+  command?: string | null;
+  screenshot?: string;
+  issueScreenshot?: string;
+  urls?: string[];
+  tests?: string[];
+  specs?: string[];
+}
+
+export interface SkippedFrame {
+  framePath: string[];
+  src: string;
+  reason: 'cross-origin' | 'not loaded';
+}
+
+export type TranslationCheckResult = TranslationIssue[] & {
+  skippedFrames?: SkippedFrame[];
+  renderedKeys?: string[];
+};
+
+export interface LocaleSwitchOptions {
+  strategy?: 'cookie' | 'localStorage' | 'query' | 'custom';
+  name?: string;
+  apply?: (locale: string, url: string) => void;
+}
+
+export interface TranslationCheckerOverride {
+  match: string | RegExp | Array<string | RegExp>;
+  disabled?: boolean;
+  patterns?: Array<string | RegExp | TranslationPatternRule>;
+  excludeSelectors?: string[];
+  allowedKeys?: string[];
+  checkAttributes?: string[];
+  waitTime?: number;
+  locales?: string[];
+  localeSwitch?: LocaleSwitchOptions;
 }
 
 export interface TranslationCheckerOptions {
-  patterns?: Array<string | RegExp>;
+  patterns?: Array<string | RegExp | TranslationPatternRule>;
   excludeSelectors?: string[];
   failOnError?: boolean;
   logErrors?: boolean;
@@ -18,18 +109,57 @@ export interface TranslationCheckerOptions {
   highlightInInspector?: boolean;
   checkAttributes?: string[];
   waitTime?: number;
+  locales?: string[];
+  localeSwitch?: LocaleSwitchOptions;
+  monitorMutations?: boolean;
+  urlNormalization?: UrlNormalizationOptions;
+  overrides?: TranslationCheckerOverride[];
+  catalogs?: Record<string, TranslationCatalog>;
+  locale?: string | null;
+  sourceLocale?: string;
+  checkShadowDom?: boolean;
+  checkIframes?: boolean;
+  checkHead?: boolean;
+  checkAccessibleNames?: boolean;
+  checkPseudoElements?: boolean;
+  detectors?: TranslationDetectorName[];
+  languageDetection?: TranslationLanguageDetectionOptions | null;
+  layoutDetection?: TranslationLayoutDetectionOptions | null;
+  keyCoverage?: TranslationKeyCoverageOptions | null;
+  documentLanguage?: TranslationDocumentLanguageOptions | null;
+  formatDetection?: TranslationFormatDetectionOptions | null;
+  hardcodedDetection?: TranslationHardcodedDetectionOptions | null;
+  pseudoLocalization?: TranslationPseudoLocalizationOptions | null;
+  rules?: Record<string, TranslationRuleSetting>;
+  screenshots?: boolean | TranslationScreenshotOptions;
 }
 
 declare global {
   namespace Cypress {
     interface Chainable {
-      checkTranslations(options?: TranslationCheckerOptions): Chainable<TranslationIssue[]>;
+      checkTranslations(options?: TranslationCheckerOptions): Chainable<TranslationCheckResult>;
     }
 
     interface TranslationCheckerState {
       visitedUrls: Set<string>;
-      lastUrl: string | null;
-      pendingCheck: boolean;
+      appWindow: Window | null;
+      pendingScans: Array<{ win: Window; url: string; config: TranslationCheckerOptions; dueAt: number; timer: number | null }>;
+      navigationResults: Array<{
+        url: string;
+        errors: TranslationIssue[];
+        skippedFrames: SkippedFrame[];
+        renderedKeys: string[];
+        win: Window;
+        getElement: (issue: TranslationIssue) => Element | null;
+        highlight?: boolean;
+        screenshots?: boolean | TranslationScreenshotOptions;
+        captured?: boolean;
+      } | { url: string; error: Error }>;
+      switchingLocale: boolean;
+      commandRunning: boolean;
+      currentCommand: string | null;
+      monitoredIssues: Array<{ url: string; issue: TranslationIssue }>;
+      monitoredFingerprints: Set<string>;
     }
 
     interface Cypress {
@@ -40,6 +170,10 @@ declare global {
 
 export declare function enableAutoTranslationCheck(globalOptions?: TranslationCheckerOptions): void;
 
-export declare function createTranslationValidationTests(): void;
+export interface TranslationValidationOptions {
+  errorThreshold?: number;
+}
+
+export declare function createTranslationValidationTests(options?: TranslationValidationOptions): void;
 
 export { };
\ No newline at end of file
@@ -1,7 +1,26 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
 const { defineConfig } = require('cypress');
+const { setupTranslationChecker } = require('./plugin');
 
-// Global storage for translation results (persists across spec files)
-const translationResults = new Map();
+// Project root of the plugin instances that specs set up with their own options
+const sandboxRoot = path.join(os.tmpdir(), 'translation-checker-sandbox');
+
+/**
+ * Runs a task or event handler of a separately configured plugin instance
+ * Lets specs test the Node side of the plugin without touching the results of this suite
+ */
+const runSandboxedPlugin = ({ options = {}, env = {}, task, event, arg = null }) => {
+  const handlers = { task: {} };
+  const register = (name, handler) => {
+    handlers[name] = name === 'task' ? { ...handlers.task, ...handler } : handler;
+  };
+
+  setupTranslationChecker(register, { projectRoot: sandboxRoot, env }, options);
+  const result = task ? handlers.task[task](arg) : handlers[event](arg);
+  return result === undefined ? null : result;
+};
 
 module.exports = defineConfig({
   e2e: {
@@ -9,22 +28,23 @@ module.exports = defineConfig({
     supportFile: 'cypress/support/e2e.js',
     specPattern: 'cypress/e2e/**/*.cy.{js,jsx,ts,tsx}',
     setupNodeEvents(on, config) {
-      // Register tasks for storing and retrieving translation results
       on('task', {
-        storeTranslationResult({ url, errors, testContext }) {
-          translationResults.set(url, { url, errors, testContext });
-          return null;
-        },
-        getTranslationResults() {
-          return Array.from(translationResults.values());
-        },
-        clearTranslationResults() {
-          translationResults.clear();
-          return null;
+        runSandboxedPlugin,
+        resetTranslationCheckerSandbox() {
+          fs.rmSync(sandboxRoot, { recursive: true, force: true });
+          return sandboxRoot;
         }
       });
 
-      return config;
+      // Register tasks for storing and retrieving translation results (persisted on disk)
+      return setupTranslationChecker(on, config, {
+        resultsDir: 'cypress/translation-results',
+        clearOnRun: true,
+        reports: {
+          formats: ['junit', 'json', 'sarif', 'html'],
+          outputDir: 'cypress/translation-reports'
+        }
+      });
     },
   },
 });
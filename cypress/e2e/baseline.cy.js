@@ -0,0 +1,82 @@
+/**
+ * Tests for recording known issues in a baseline and failing only on new ones
+ * Runs the applyTranslationBaseline task of a sandboxed plugin instance
+ */
+
+const baseline = { file: 'translation-baseline.json' };
+
+const checkout = 'http://localhost/checkout.html';
+const account = 'http://localhost/account.html';
+
+const rawKey = { type: 'text', selector: '#title', text: 'checkout.title' };
+const fallback = { type: 'attribute', selector: '#search', attribute: 'placeholder', text: 'Search products' };
+const newKey = { type: 'text', selector: '#total', text: 'checkout.total' };
+const accountKey = { type: 'text', selector: '#name', text: 'account.name' };
+
+const applyBaseline = (results, env = {}) => {
+  return cy.task('runSandboxedPlugin', { options: { baseline }, env, task: 'applyTranslationBaseline', arg: results });
+};
+
+describe('Translation Checker - Baseline', () => {
+  let sandboxRoot;
+
+  beforeEach(() => {
+    cy.task('resetTranslationCheckerSandbox').then((root) => {
+      sandboxRoot = root;
+    });
+  });
+
+  it('should record every issue in update mode and only report new issues afterwards', () => {
+    applyBaseline([
+      { url: checkout, errors: [rawKey, fallback], testContext: 'checkout' },
+      { url: account, errors: [accountKey], testContext: 'account' }
+    ], { translationBaseline: 'update' }).then((comparison) => {
+      expect(comparison.mode).to.equal('update');
+      expect(comparison.known).to.equal(3);
+      expect(comparison.results.every(result => result.errors.length === 0)).to.equal(true);
+    });
+
+    cy.then(() => cy.readFile(`${sandboxRoot}/${baseline.file}`)).then((file) => {
+      expect(file.version).to.equal(1);
+      // Sorted by page and selector, so the committed file changes little between updates
+      expect(file.issues.map(entry => entry.text)).to.deep.equal(['account.name', 'Search products', 'checkout.title']);
+      expect(file.issues[1]).to.include({ url: checkout, attribute: 'placeholder', selector: '#search' });
+    });
+
+    // The raw key is fixed, the fallback is still there (with other whitespace and test details) and a new key appeared.
+    // The account page was not checked in this run, so its entry is not reported as fixed
+    applyBaseline([
+      {
+        url: checkout,
+        errors: [{ ...fallback, text: '  Search\n   products ', tests: ['other test'] }, newKey],
+        testContext: 'checkout'
+      }
+    ]).then((comparison) => {
+      expect(comparison.mode).to.equal('compare');
+      expect(comparison.known).to.equal(1);
+      expect(comparison.results).to.have.length(1);
+      expect(comparison.results[0].errors).to.deep.equal([newKey]);
+      expect(comparison.fixed.map(entry => entry.text)).to.deep.equal(['checkout.title']);
+    });
+  });
+
+  it('should fingerprint pages per locale', () => {
+    applyBaseline([{ url: checkout, locale: 'nl', errors: [rawKey], testContext: 'checkout' }], { translationBaseline: 'update' });
+
+    applyBaseline([
+      { url: checkout, locale: 'nl', errors: [rawKey], testContext: 'checkout' },
+      { url: checkout, locale: 'fr', errors: [rawKey], testContext: 'checkout' }
+    ]).then((comparison) => {
+      expect(comparison.known).to.equal(1);
+      expect(comparison.results.map(result => result.errors.length)).to.deep.equal([0, 1]);
+      expect(comparison.fixed).to.have.length(0);
+    });
+  });
+
+  it('should compare nothing without a baseline option', () => {
+    cy.task('runSandboxedPlugin', { task: 'applyTranslationBaseline', arg: [{ url: checkout, errors: [rawKey] }] })
+      .then((comparison) => {
+        expect(comparison).to.deep.equal({ mode: 'off', results: [{ url: checkout, errors: [rawKey] }], known: 0, fixed: [] });
+      });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for catalog-based raw key and source-language fallback detection
+ */
+
+import { mountFixture, unmountFixture } from '../support/fixtures';
+
+const catalogs = {
+  en: {
+    checkout: {
+      title: 'Checkout',
+      email: 'E-mail address',
+      confirm: 'OK'
+    }
+  },
+  nl: {
+    'checkout.title': 'Afrekenen',
+    'checkout.coupon': 'Kortingscode',
+    'checkout.confirm': 'OK'
+  }
+};
+
+describe('Translation Checker - Catalog Key Detection', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should report text matching a nested catalog key', () => {
+    mountFixture('<h2>checkout.title</h2>');
+
+    cy.checkTranslations({
+      catalogs,
+      patterns: [],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].type).to.equal('text');
+      expect(errors[0].key).to.equal('checkout.title');
+    });
+  });
+
+  it('should report attributes matching a flat catalog key', () => {
+    mountFixture('<input placeholder="checkout.coupon">');
+
+    cy.checkTranslations({
+      catalogs,
+      patterns: [],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      const attributeErrors = errors.filter(e => e.type === 'attribute');
+      expect(attributeErrors).to.have.length(1);
+      expect(attributeErrors[0].attribute).to.equal('placeholder');
+      expect(attributeErrors[0].key).to.equal('checkout.coupon');
+    });
+  });
+
+  it('should not flag text that is not a catalog key', () => {
+    mountFixture('<p>Version 1.2.3</p><p>Checkout</p><p>checkout.unknown</p>');
+
+    cy.checkTranslations({
+      catalogs,
+      patterns: [],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+
+  it('should respect allowedKeys', () => {
+    mountFixture('<h2>checkout.title</h2>');
+
+    cy.checkTranslations({
+      catalogs,
+      patterns: [],
+      allowedKeys: ['checkout.title'],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+});
+
+describe('Translation Checker - Fallback Detection', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should report source-language text whose target translation differs', () => {
+    mountFixture('<h2>Checkout</h2>');
+
+    cy.checkTranslations({
+      catalogs,
+      locale: 'nl',
+      patterns: [],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].type).to.equal('fallback');
+      expect(errors[0].key).to.equal('checkout.title');
+      expect(errors[0].locale).to.equal('nl');
+      expect(errors[0].sourceLocale).to.equal('en');
+    });
+  });
+
+  it('should report source-language attributes whose target translation is missing', () => {
+    mountFixture('<input placeholder="E-mail address">');
+
+    cy.checkTranslations({
+      catalogs,
+      locale: 'nl',
+      patterns: [],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].type).to.equal('fallback');
+      expect(errors[0].attribute).to.equal('placeholder');
+      expect(errors[0].key).to.equal('checkout.email');
+    });
+  });
+
+  it('should not report text that is identical in both locales', () => {
+    mountFixture('<button>OK</button><p>Afrekenen</p>');
+
+    cy.checkTranslations({
+      catalogs,
+      locale: 'nl',
+      patterns: [],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+
+  it('should not report fallbacks when the page is in the source locale', () => {
+    mountFixture('<h2>Checkout</h2>');
+
+    cy.checkTranslations({
+      catalogs,
+      locale: 'en',
+      patterns: [],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+});
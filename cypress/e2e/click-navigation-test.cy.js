@@ -103,6 +103,30 @@ describe('Click Navigation - Functional Test Example', () => {
   });
 });
 
+describe('Click Navigation - Intermediate Pages', () => {
+  const journeyTitle = 'should visit three pages in a single test';
+
+  it(journeyTitle, () => {
+    cy.visit('test-page.html');
+    cy.get('#navigate-to-dashboard').click();
+    cy.url().should('include', 'dashboard.html');
+    cy.visit('clean-page.html');
+    cy.get('.success').should('exist');
+  });
+
+  it('should store a result for every page of the previous test', () => {
+    cy.task('getTranslationResults', null, { log: false }).then((results) => {
+      const journeyUrls = results
+        .filter(result => (result.tests || []).includes(journeyTitle))
+        .map(result => result.url);
+
+      ['test-page.html', 'dashboard.html', 'clean-page.html'].forEach((page) => {
+        expect(journeyUrls.some(url => url.includes(page)), `result for ${page}`).to.be.true;
+      });
+    });
+  });
+});
+
 /**
  * After this test completes, check the zz-translation-validation.cy.js results.
  * 
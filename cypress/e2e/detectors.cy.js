@@ -0,0 +1,90 @@
+/**
+ * Tests for the built-in interpolation and serialization detectors
+ */
+
+import { mountFixture, unmountFixture } from '../support/fixtures';
+
+const detectors = ['icu', 'printf', 'rails', 'dotnet', 'serialization'];
+
+describe('Translation Checker - Built-in Detectors', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should report leaked placeholders under their rule', () => {
+    mountFixture(`
+      <p id="icu">{count, plural, one {# item} other {# items}}</p>
+      <p id="printf">Hello %s</p>
+      <p id="rails">Welcome %{user}</p>
+      <p id="dotnet">Total {0:N2}</p>
+      <p id="serialization">[object Object]</p>
+    `);
+
+    cy.checkTranslations({ detectors, failOnError: false, logErrors: false }).then((errors) => {
+      const rulesBySelector = errors.reduce((rules, error) => ({ ...rules, [error.selector]: error.ruleId }), {});
+      expect(rulesBySelector).to.deep.equal({
+        '#icu': 'icu-message',
+        '#printf': 'printf-placeholder',
+        '#rails': 'rails-placeholder',
+        '#dotnet': 'dotnet-placeholder',
+        '#serialization': 'serialization-leak'
+      });
+    });
+  });
+
+  it('should report serialized values but not prose', () => {
+    mountFixture(`
+      <p id="price">Price: NaN</p>
+      <p id="name">undefined</p>
+      <p>We are 100% sure.</p>
+      <p>Reject the null hypothesis.</p>
+      <p>This leads to undefined behavior.</p>
+    `);
+
+    cy.checkTranslations({ detectors: ['serialization', 'printf'], failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors.map(error => error.selector)).to.deep.equal(['#price', '#name']);
+    });
+  });
+
+  it('should report ICU placeholders but not braces in prose', () => {
+    mountFixture(`
+      <p id="select">{gender, select, female {She} other {They}} replied</p>
+      <p id="code-name">Welcome back, {user_name}</p>
+      <p id="pair">Signed in as {first} {last}</p>
+      <p>Use {braces} in text</p>
+    `);
+
+    cy.checkTranslations({ detectors: ['icu'], failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors.map(error => error.selector)).to.deep.equal(['#select', '#code-name', '#pair']);
+    });
+  });
+
+  it('should report Rails placeholders under their own rule when ICU is enabled too', () => {
+    mountFixture(`
+      <p id="rails">Welcome %{user}</p>
+      <p id="icu">Welcome {userName}</p>
+    `);
+
+    cy.checkTranslations({ detectors: ['icu', 'rails'], failOnError: false, logErrors: false }).then((errors) => {
+      const rulesBySelector = errors.reduce((rules, error) => ({ ...rules, [error.selector]: error.ruleId }), {});
+      expect(rulesBySelector).to.deep.equal({
+        '#rails': 'rails-placeholder',
+        '#icu': 'icu-message'
+      });
+    });
+  });
+
+  it('should only run the detectors that are enabled', () => {
+    mountFixture('<p>Hello %s</p><p>Hello {name}</p>');
+
+    cy.checkTranslations({ detectors: ['printf'], failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].ruleId).to.equal('printf-placeholder');
+    });
+  });
+});
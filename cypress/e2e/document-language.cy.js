@@ -0,0 +1,93 @@
+/**
+ * Tests for the lang and dir checks of the document and of nested elements
+ * The root attributes are set per test and restored after it
+ */
+
+import { mountFixture, unmountFixture, fixtureExcludeSelectors } from '../support/fixtures';
+
+const setRoot = (attributes) => {
+  cy.document().then((doc) => {
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (value === null) {
+        doc.documentElement.removeAttribute(name);
+      } else {
+        doc.documentElement.setAttribute(name, value);
+      }
+    });
+  });
+};
+
+const check = options => cy.checkTranslations({
+  documentLanguage: {},
+  excludeSelectors: fixtureExcludeSelectors,
+  failOnError: false,
+  logErrors: false,
+  ...options
+});
+
+describe('Translation Checker - Document Language', () => {
+  let originalRoot;
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+    cy.document().then((doc) => {
+      originalRoot = { lang: doc.documentElement.getAttribute('lang'), dir: doc.documentElement.getAttribute('dir') };
+    });
+  });
+
+  afterEach(() => {
+    unmountFixture();
+    setRoot(originalRoot);
+  });
+
+  it('should report a root lang that does not match the locale', () => {
+    setRoot({ lang: 'en', dir: null });
+
+    check({ locale: 'nl-BE' }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include({ type: 'document', attribute: 'lang', text: 'en', ruleId: 'lang-attribute', locale: 'nl-BE' });
+    });
+  });
+
+  it('should accept a root lang without region but not another region', () => {
+    setRoot({ lang: 'nl', dir: null });
+    check({ locale: 'nl-BE' }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+
+    setRoot({ lang: 'nl-NL' });
+    check({ locale: 'nl-BE' }).then((errors) => {
+      expect(errors.map(error => error.ruleId)).to.deep.equal(['lang-attribute']);
+    });
+  });
+
+  it('should report a direction that does not match the script of the locale', () => {
+    setRoot({ lang: 'ar-EG', dir: 'ltr' });
+    check({ locale: 'ar-EG' }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include({ attribute: 'dir', text: 'ltr', ruleId: 'dir-attribute', expectedDirection: 'rtl' });
+    });
+
+    setRoot({ dir: 'rtl' });
+    check({ locale: 'ar-EG' }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+
+  it('should report nested lang attributes that contradict their content', () => {
+    setRoot({ lang: 'nl', dir: null });
+    mountFixture(`
+      <p id="wrong" lang="en">Vul uw e-mailadres in en wij sturen u een link om uw wachtwoord opnieuw in te stellen.</p>
+      <p id="right" lang="de">Bitte geben Sie Ihre E-Mail-Adresse ein und wir senden Ihnen einen Link.</p>
+      <div id="outer" lang="en">
+        Please enter your email address and we will send you a link to reset your password.
+        <blockquote lang="nl">Vul uw e-mailadres in en wij sturen u een link om uw wachtwoord opnieuw in te stellen.</blockquote>
+      </div>
+    `);
+
+    check({ locale: 'nl' }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include({ selector: '#wrong', ruleId: 'lang-content', detectedLanguage: 'nl', expectedLanguage: 'en' });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for locale-specific number, date, time and currency formatting
+ */
+
+import { mountFixture, unmountFixture, fixtureExcludeSelectors } from '../support/fixtures';
+import { findFormatIssues } from '../../formats';
+
+describe('Translation Checker - Format Detection', () => {
+
+  describe('findFormatIssues', () => {
+    it('should report separators, date order, hour cycle and symbol placement', () => {
+      expect(findFormatIssues('Totaal: 1,234.50 €', 'nl-BE').map(finding => finding.kind)).to.deep.equal(['currency', 'number']);
+      expect(findFormatIssues('Livraison le 10/19/2026', 'fr-FR')[0]).to.include({ kind: 'date', expected: '19/10/2026' });
+      expect(findFormatIssues('Um 10:30 PM', 'de-DE')[0]).to.include({ kind: 'time', expected: '22:30' });
+    });
+
+    it('should accept values formatted for the locale and ambiguous values', () => {
+      expect(findFormatIssues('Totaal: € 1.234,50', 'nl-BE')).to.have.length(0);
+      expect(findFormatIssues('Am 19.10.2026 um 22:30', 'de-DE')).to.have.length(0);
+      expect(findFormatIssues('1.234 Artikel', 'en-US')).to.have.length(0);
+    });
+  });
+
+  describe('formatDetection', () => {
+    beforeEach(() => {
+      cy.visit('clean-page.html');
+    });
+
+    afterEach(() => {
+      unmountFixture();
+    });
+
+    it('should report text formatted for another locale', () => {
+      mountFixture(`
+        <span id="price">1,234.50 €</span>
+        <span id="date">10/19/2026</span>
+        <span id="correct">19/10/2026</span>
+      `);
+
+      cy.checkTranslations({
+        locale: 'fr-FR',
+        formatDetection: {},
+        excludeSelectors: fixtureExcludeSelectors,
+        failOnError: false,
+        logErrors: false
+      }).then((errors) => {
+        expect(errors.map(error => [error.selector, error.ruleId, error.formatting.kind])).to.deep.equal([
+          ['#price', 'locale-format', 'number'],
+          ['#date', 'locale-format', 'date']
+        ]);
+        expect(errors[0].severity).to.equal('warning');
+      });
+    });
+
+    it('should only check the configured regions', () => {
+      mountFixture(`
+        <p id="price" class="price">1,234.50 €</p>
+        <p id="version">Version 2.5</p>
+      `);
+
+      cy.checkTranslations({
+        locale: 'de-DE',
+        formatDetection: { selectors: ['.price'] },
+        excludeSelectors: fixtureExcludeSelectors,
+        failOnError: false,
+        logErrors: false
+      }).then((errors) => {
+        expect(errors).to.have.length(1);
+        expect(errors[0].selector).to.equal('#price');
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for hardcoded string detection against the catalog values of the page's locale
+ */
+
+import { mountFixture, unmountFixture, fixtureExcludeSelectors } from '../support/fixtures';
+
+const catalogs = {
+  de: {
+    greeting: 'Hallo {name}!',
+    inbox: 'Sie haben <b>{count}</b> neue Nachrichten',
+    cart: '{count, plural, one {# Artikel} other {# Artikel im Korb}}',
+    save: 'Speichern'
+  }
+};
+
+describe('Translation Checker - Hardcoded String Detection', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should report text that matches no catalog value', () => {
+    mountFixture(`
+      <button id="save">Speichern</button>
+      <p id="greeting">Hallo Ada!</p>
+      <p id="inbox">Sie haben <b>3</b> neue Nachrichten</p>
+      <p id="cart">5 Artikel im Korb</p>
+      <p id="price">€ 12,50</p>
+      <button id="hardcoded">Submit order</button>
+    `);
+
+    cy.checkTranslations({
+      catalogs,
+      locale: 'de',
+      hardcodedDetection: {},
+      excludeSelectors: fixtureExcludeSelectors,
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].selector).to.equal('#hardcoded');
+      expect(errors[0].ruleId).to.equal('probable-hardcoded-string');
+      expect(errors[0].severity).to.equal('warning');
+    });
+  });
+
+  it('should accept allowlisted texts and excluded regions', () => {
+    mountFixture(`
+      <span id="brand">Acme</span>
+      <span id="version">v2.4.1</span>
+      <span id="user" class="user-content">Ada Lovelace</span>
+    `);
+
+    cy.checkTranslations({
+      catalogs,
+      locale: 'de',
+      hardcodedDetection: { allowlist: ['Acme', /^v\d+\.\d+/] },
+      excludeSelectors: [...fixtureExcludeSelectors, '.user-content'],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+});
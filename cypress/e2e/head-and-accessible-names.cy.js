@@ -0,0 +1,98 @@
+/**
+ * Tests for checking document metadata and computed accessible names
+ */
+
+import { mountFixture, unmountFixture, fixtureExcludeSelectors } from '../support/fixtures';
+
+const check = options => cy.checkTranslations({ excludeSelectors: fixtureExcludeSelectors, failOnError: false, logErrors: false, ...options });
+
+describe('Translation Checker - Head and Accessible Names', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  describe('checkHead', () => {
+    let addedMeta = [];
+    let originalTitle;
+
+    beforeEach(() => {
+      cy.document().then((doc) => {
+        originalTitle = doc.title;
+        doc.title = '{{page.title}}';
+        addedMeta = [
+          { name: 'description', content: 'i18n.page.description' },
+          { property: 'og:title', content: '{{og.title}}' },
+          { name: 'viewport', content: '{{not.text}}' }
+        ].map((attributes) => {
+          const meta = doc.createElement('meta');
+          Object.entries(attributes).forEach(([name, value]) => meta.setAttribute(name, value));
+          doc.head.appendChild(meta);
+          return meta;
+        });
+      });
+    });
+
+    afterEach(() => {
+      cy.document().then((doc) => {
+        doc.title = originalTitle;
+        addedMeta.forEach(meta => meta.remove());
+      });
+    });
+
+    it('should report the title and user-facing metadata', () => {
+      check({ checkHead: true }).then((errors) => {
+        expect(errors.map(error => [error.type, error.origin, error.text])).to.deep.equal([
+          ['title', 'title', '{{page.title}}'],
+          ['meta', 'meta[name="description"]', 'i18n.page.description'],
+          ['meta', 'meta[property="og:title"]', '{{og.title}}']
+        ]);
+      });
+    });
+
+    it('should not check the head by default', () => {
+      check({}).then((errors) => {
+        expect(errors).to.have.length(0);
+      });
+    });
+  });
+
+  describe('checkAccessibleNames', () => {
+    it('should report names and descriptions from sources that are not checked otherwise', () => {
+      mountFixture(`
+        <span id="label-text" hidden>{{checkout.label}}</span>
+        <span id="help-text" hidden>Help</span>
+        <button id="labelled" aria-labelledby="label-text" aria-describedby="help-text">OK</button>
+        <input id="submit" type="submit" value="i18n.checkout.submit">
+        <select id="country"><option id="option" label="{{country.nl}}" value="nl">Nederland</option></select>
+        <button id="described" aria-description="i18n.help">Pay</button>
+      `);
+
+      check({ checkAccessibleNames: true }).then((errors) => {
+        const computed = errors.filter(error => error.type.startsWith('accessible-'));
+        expect(computed.map(error => [error.selector, error.type, error.origin])).to.deep.equal([
+          ['#labelled', 'accessible-name', 'aria-labelledby'],
+          ['#submit', 'accessible-name', 'value'],
+          ['#option', 'accessible-name', 'label'],
+          ['#described', 'accessible-description', 'aria-description']
+        ]);
+      });
+    });
+
+    it('should not report sources that are checked as text or attributes', () => {
+      mountFixture(`
+        <label for="email">E-mail</label>
+        <input id="email" placeholder="{{email.placeholder}}">
+        <button id="close" aria-label="{{close}}">×</button>
+      `);
+
+      check({ checkAccessibleNames: true }).then((errors) => {
+        expect(errors.map(error => error.type)).to.deep.equal(['attribute', 'attribute']);
+      });
+    });
+  });
+});
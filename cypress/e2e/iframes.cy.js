@@ -0,0 +1,62 @@
+/**
+ * Tests for checking content inside same-origin iframes
+ * Frames use srcdoc so no extra fixture pages are needed
+ */
+
+import { mountFixture, unmountFixture } from '../support/fixtures';
+
+describe('Translation Checker - Iframes', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should detect issues inside same-origin iframes when enabled', () => {
+    mountFixture('<iframe class="legacy" srcdoc="<h1>{{legacy.title}}</h1>"></iframe>');
+    cy.get('#translation-fixture iframe.legacy').its('0.contentDocument.body').should('contain.text', 'legacy.title');
+
+    cy.checkTranslations({
+      checkIframes: true,
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].text).to.equal('{{legacy.title}}');
+      expect(errors[0].framePath).to.have.length(1);
+      expect(errors[0].framePath[0]).to.contain('iframe.legacy');
+      expect(errors[0].frameUrl).to.equal('about:srcdoc');
+    });
+  });
+
+  it('should not descend into iframes by default', () => {
+    mountFixture('<iframe class="legacy" srcdoc="<h1>{{legacy.title}}</h1>"></iframe>');
+    cy.get('#translation-fixture iframe.legacy').its('0.contentDocument.body').should('contain.text', 'legacy.title');
+
+    cy.checkTranslations({
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+
+  it('should report frames that cannot be checked', () => {
+    // A sandboxed frame without allow-same-origin has an opaque origin, like a cross-origin frame
+    mountFixture('<iframe class="external" sandbox srcdoc="<h1>{{external.title}}</h1>"></iframe>');
+
+    cy.checkTranslations({
+      checkIframes: true,
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+      expect(errors.skippedFrames).to.have.length(1);
+      expect(errors.skippedFrames[0].reason).to.equal('cross-origin');
+      expect(errors.skippedFrames[0].framePath[0]).to.contain('iframe.external');
+    });
+  });
+});
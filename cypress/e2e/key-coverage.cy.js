@@ -0,0 +1,65 @@
+/**
+ * Tests for recording the catalog keys rendered on a page
+ */
+
+import { mountFixture, unmountFixture, fixtureExcludeSelectors } from '../support/fixtures';
+
+const catalogs = {
+  nl: {
+    checkout: {
+      title: 'Afrekenen',
+      greeting: 'Hallo {name}!',
+      search: 'Zoek producten',
+      unused: 'Nooit getoond'
+    }
+  }
+};
+
+describe('Translation Checker - Key Coverage', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should record keys from the key attribute', () => {
+    mountFixture(`
+      <h1 data-i18n-key="checkout.title">Afrekenen</h1>
+      <input data-i18n-key="[placeholder]checkout.search; checkout.label" placeholder="Zoek producten">
+    `);
+
+    cy.checkTranslations({ keyCoverage: { matchValues: false }, excludeSelectors: fixtureExcludeSelectors, failOnError: false }).then((errors) => {
+      expect(errors.renderedKeys.sort()).to.deep.equal(['checkout.label', 'checkout.search', 'checkout.title']);
+    });
+  });
+
+  it('should match texts and attributes back to catalog values', () => {
+    mountFixture(`
+      <h1>Afrekenen</h1>
+      <p>Hallo Ada!</p>
+      <input placeholder="Zoek producten">
+      <p>Something else</p>
+    `);
+
+    cy.checkTranslations({
+      catalogs,
+      locale: 'nl',
+      keyCoverage: {},
+      excludeSelectors: fixtureExcludeSelectors,
+      failOnError: false
+    }).then((errors) => {
+      expect(errors.renderedKeys.sort()).to.deep.equal(['checkout.greeting', 'checkout.search', 'checkout.title']);
+    });
+  });
+
+  it('should not record keys without keyCoverage', () => {
+    mountFixture('<h1 data-i18n-key="checkout.title">Afrekenen</h1>');
+
+    cy.checkTranslations({ catalogs, locale: 'nl', excludeSelectors: fixtureExcludeSelectors, failOnError: false }).then((errors) => {
+      expect(errors.renderedKeys).to.have.length(0);
+    });
+  });
+});
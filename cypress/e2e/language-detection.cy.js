@@ -0,0 +1,61 @@
+/**
+ * Tests for wrong-language text detection
+ */
+
+import { mountFixture, unmountFixture, fixtureExcludeSelectors } from '../support/fixtures';
+
+describe('Translation Checker - Language Detection', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should report long text in another language than the page', () => {
+    mountFixture(`
+      <p id="german">Bitte geben Sie Ihre E-Mail-Adresse ein und wir senden Ihnen einen Link.</p>
+      <p id="english">Please enter your email address and we will send you a link to reset your password.</p>
+    `);
+
+    cy.checkTranslations({
+      locale: 'de-DE',
+      languageDetection: {},
+      excludeSelectors: fixtureExcludeSelectors,
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].selector).to.equal('#english');
+      expect(errors[0].ruleId).to.equal('wrong-language');
+      expect(errors[0].severity).to.equal('warning');
+      expect(errors[0].detectedLanguage).to.equal('en');
+      expect(errors[0].expectedLanguage).to.equal('de');
+      expect(errors[0].confidence).to.be.within(0.5, 1);
+    });
+  });
+
+  it('should skip text shorter than the minimum length', () => {
+    mountFixture('<p>Please enter your email address.</p>');
+
+    cy.checkTranslations({
+      locale: 'de',
+      languageDetection: { minLength: 40 },
+      excludeSelectors: fixtureExcludeSelectors,
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+
+  it('should not classify text without an expected locale', () => {
+    mountFixture('<p>Please enter your email address and we will send you a link to reset your password.</p>');
+
+    cy.checkTranslations({ languageDetection: {}, excludeSelectors: fixtureExcludeSelectors, failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for the overflow, ellipsis and wrapping layout detector
+ */
+
+import { mountFixture, unmountFixture } from '../support/fixtures';
+
+const checkLayout = (layoutDetection) => {
+  return cy.checkTranslations({ layoutDetection, failOnError: false, logErrors: false })
+    .then(errors => errors.filter(error => error.type === 'layout'));
+};
+
+describe('Translation Checker - Layout Detection', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should report text clipped by a fixed-size box', () => {
+    mountFixture(`
+      <button id="clipped" style="width: 60px; overflow: hidden; white-space: nowrap;">
+        Jetzt kostenlos registrieren
+      </button>
+    `);
+
+    checkLayout({}).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].selector).to.equal('#clipped');
+      expect(errors[0].ruleId).to.equal('text-overflow');
+      expect(errors[0].direction).to.equal('horizontal');
+      expect(errors[0].measurements.scrollWidth).to.be.greaterThan(errors[0].measurements.clientWidth);
+    });
+  });
+
+  it('should report ellipsized text through an inline child', () => {
+    mountFixture(`
+      <div id="ellipsis" style="width: 80px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;">
+        <span>Bestellübersicht anzeigen</span>
+      </div>
+    `);
+
+    checkLayout({}).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].selector).to.equal('#ellipsis');
+      expect(errors[0].ruleId).to.equal('text-ellipsis');
+      expect(errors[0].severity).to.equal('warning');
+    });
+  });
+
+  it('should report text wrapping onto more lines than allowed', () => {
+    mountFixture(`
+      <button id="wrapped" class="btn" style="width: 60px;">Jetzt kostenlos registrieren</button>
+      <button id="fits" class="btn">OK</button>
+    `);
+
+    checkLayout({ maxLines: { '.btn': 1 } }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].selector).to.equal('#wrapped');
+      expect(errors[0].ruleId).to.equal('text-wrap');
+      expect(errors[0].measurements.lines).to.be.greaterThan(1);
+      expect(errors[0].measurements.maxLines).to.equal(1);
+    });
+  });
+
+  it('should not report text that fits', () => {
+    mountFixture('<button style="overflow: hidden;">Save</button><p style="overflow: hidden;">Short text</p>');
+
+    checkLayout({ maxLines: { button: 1 } }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+});
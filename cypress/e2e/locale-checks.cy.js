@@ -0,0 +1,44 @@
+/**
+ * Tests for re-checking visited pages in other locales
+ * Pages visited with ?locale-checks are re-checked in en and nl with the query strategy (see cypress/support/e2e.js)
+ */
+
+const localeTest = 'should visit a page that is re-checked in every locale';
+const loadedUrls = [];
+const recordUrl = (win) => {
+  loadedUrls.push(win.location.href);
+};
+
+describe('Translation Checker - Locale Checks', () => {
+
+  before(() => {
+    Cypress.on('window:load', recordUrl);
+  });
+
+  after(() => {
+    Cypress.off('window:load', recordUrl);
+  });
+
+  it(localeTest, () => {
+    cy.visit('clean-page.html?locale-checks');
+    cy.get('.success').should('exist');
+  });
+
+  it('should load the page with the locale as query parameter', () => {
+    ['en', 'nl'].forEach((locale) => {
+      const url = loadedUrls.find(loaded => new URL(loaded).searchParams.get('lang') === locale);
+      expect(url, `page loaded in ${locale}`).to.include('clean-page.html');
+    });
+  });
+
+  it('should store a result for every URL and locale', () => {
+    cy.task('getTranslationResults', null, { log: false }).then((results) => {
+      const pageResults = results.filter(result => result.url.includes('locale-checks') && result.tests.includes(localeTest));
+
+      expect(pageResults.map(result => result.locale || null)).to.deep.equal([null, 'en', 'nl']);
+      pageResults.forEach((result) => {
+        expect(result.url).to.match(/clean-page\.html\?locale-checks$/);
+      });
+    });
+  });
+});
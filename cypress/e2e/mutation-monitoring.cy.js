@@ -0,0 +1,59 @@
+/**
+ * Tests for monitoring transient content (monitorMutations in cypress/support/e2e.js)
+ */
+
+const toastTest = 'should record a toast that is removed before the page is scanned';
+
+describe('Translation Checker - Mutation Monitoring', () => {
+
+  it(toastTest, () => {
+    cy.visit('test-page.html');
+
+    cy.document().then((doc) => {
+      // Still shown when the page is scanned, so the regular check finds it too
+      const banner = doc.createElement('p');
+      banner.id = 'monitor-banner';
+      banner.textContent = '{{banner.title}}';
+      doc.body.appendChild(banner);
+
+      const button = doc.createElement('button');
+      button.id = 'monitor-save';
+      button.textContent = 'Save';
+      button.addEventListener('click', () => {
+        const toast = doc.createElement('div');
+        toast.id = 'monitor-toast';
+        toast.textContent = '{{toast.saved}}';
+        doc.body.appendChild(toast);
+        doc.defaultView.setTimeout(() => toast.remove(), 50);
+      });
+      doc.body.appendChild(button);
+    });
+
+    cy.get('#monitor-save').click();
+    cy.get('#monitor-toast').should('not.exist');
+
+    cy.wrap(null).should(() => {
+      const recorded = Cypress.translationChecker.monitoredIssues
+        .find(entry => entry.issue.text === '{{toast.saved}}');
+
+      expect(recorded, 'monitored toast').to.exist;
+      expect(recorded.url).to.include('test-page.html');
+      expect(recorded.issue).to.include({ type: 'text', source: 'monitor', command: 'click' });
+      expect(Date.parse(recorded.issue.timestamp)).not.to.be.NaN;
+    });
+  });
+
+  it('should store transient issues with the page, without repeating regular findings', () => {
+    cy.task('getTranslationResults', null, { log: false }).then((results) => {
+      const result = results.find(page => page.url.includes('test-page.html') && (page.tests || []).includes(toastTest));
+      const issuesWithText = text => result.errors.filter(error => error.text === text);
+
+      expect(issuesWithText('{{toast.saved}}')).to.have.length(1);
+      expect(issuesWithText('{{toast.saved}}')[0]).to.include({ source: 'monitor', command: 'click' });
+
+      // The monitor saw the banner first, but the regular scan reports it
+      expect(issuesWithText('{{banner.title}}')).to.have.length(1);
+      expect(issuesWithText('{{banner.title}}')[0]).not.to.have.property('source');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for the timing and side effects of the automatic navigation scans
+ * Pages visited with ?slow-render get a longer waitTime and pages visited with ?screenshots are captured
+ * (see cypress/support/e2e.js)
+ */
+
+const slowRenderTest = 'should wait the waitTime of the route before scanning a page at the end of the test';
+const navigatedAwayTest = 'should capture a page with issues before the test navigates away from it';
+
+describe('Translation Checker - Navigation Scans', () => {
+
+  it('should not highlight a page while the test still uses it', () => {
+    cy.visit('test-page.html');
+
+    // Longer than the waitTime, so the page has been scanned
+    cy.wait(800);
+    cy.get('[data-translation-issue]').should('not.exist');
+  });
+
+  it(slowRenderTest, () => {
+    cy.visit('clean-page.html?slow-render');
+
+    // Rendered after the global waitTime, but before the waitTime of the route
+    cy.document().then((doc) => {
+      doc.defaultView.setTimeout(() => {
+        const late = doc.createElement('p');
+        late.id = 'late-content';
+        late.textContent = '{{late.title}}';
+        doc.body.appendChild(late);
+      }, 1000);
+    });
+  });
+
+  it('should store what the late scan found as a regular finding', () => {
+    cy.task('getTranslationResults', null, { log: false }).then((results) => {
+      const result = results.find(page => page.url.includes('slow-render') && page.tests.includes(slowRenderTest));
+      const late = result.errors.filter(error => error.text === '{{late.title}}');
+
+      // The monitor sees the content as well, but the scan reports it
+      expect(late).to.have.length(1);
+      expect(late[0]).not.to.have.property('source');
+    });
+  });
+
+  it(navigatedAwayTest, () => {
+    cy.visit('test-page.html?screenshots');
+
+    // Longer than the waitTime; the page is captured after this command and its outlines are removed again
+    cy.wait(800);
+    cy.get('[data-translation-issue]').should('not.exist');
+
+    cy.get('#navigate-to-dashboard').click();
+    cy.url().should('include', 'dashboard.html');
+  });
+
+  it('should store the screenshot path with the issues of the page the test left', () => {
+    cy.task('getTranslationResults', null, { log: false }).then((results) => {
+      const result = results.find(page => page.url.includes('screenshots') && page.tests.includes(navigatedAwayTest));
+      const scanned = result.errors.filter(error => !error.source && error.tests.includes(navigatedAwayTest));
+
+      expect(scanned).not.to.have.length(0);
+      scanned.forEach((error) => {
+        expect(error.screenshot).to.be.a('string').and.include('translation-issues');
+      });
+    });
+  });
+});
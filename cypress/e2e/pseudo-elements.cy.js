@@ -0,0 +1,63 @@
+/**
+ * Tests for checking text generated by ::before and ::after
+ */
+
+import { mountFixture, unmountFixture } from '../support/fixtures';
+
+const styles = `
+  <style>
+    .from-attribute::before { content: attr(data-label); }
+    .from-string::after { content: "i18n.badge.new"; }
+    .from-variable::before { content: var(--label); }
+    .icon::before { content: "\\f101"; }
+    .counter::before { content: counter(item) ". "; }
+  </style>
+`;
+
+describe('Translation Checker - Pseudo-Elements', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should report generated content with the pseudo-element', () => {
+    mountFixture(`
+      ${styles}
+      <span id="attribute" class="from-attribute" data-label="{{badge.label}}"></span>
+      <span id="string" class="from-string"></span>
+      <span id="variable" class="from-variable" style="--label: '[[badge.variable]]'"></span>
+    `);
+
+    cy.checkTranslations({ checkPseudoElements: true, failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors.map(error => [error.selector, error.type, error.pseudoElement, error.text])).to.deep.equal([
+        ['#attribute', 'pseudo', '::before', '{{badge.label}}'],
+        ['#string', 'pseudo', '::after', 'i18n.badge.new'],
+        ['#variable', 'pseudo', '::before', '[[badge.variable]]']
+      ]);
+    });
+  });
+
+  it('should ignore icons and counters', () => {
+    mountFixture(`
+      ${styles}
+      <span class="icon"></span>
+      <ol><li class="counter">Item</li></ol>
+    `);
+
+    cy.checkTranslations({ checkPseudoElements: true, failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+
+  it('should not read pseudo-elements by default', () => {
+    mountFixture(`${styles}<span class="from-string"></span>`);
+
+    cy.checkTranslations({ failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for pseudo-localization and hardcoded string detection
+ */
+
+import { mountFixture, unmountFixture, fixtureExcludeSelectors } from '../support/fixtures';
+import { pseudoLocalize, pseudoLocalizeBundle, isPseudoLocalized } from '../../pseudo';
+
+const pseudoLocalization = { urls: ['**/locales/*.json'] };
+
+describe('Translation Checker - Pseudo-Localization', () => {
+
+  describe('pseudoLocalize', () => {
+    it('should accent, expand and wrap a value', () => {
+      expect(pseudoLocalize('This is test')).to.equal('[Ţĥîš îš ţéšţ~~~]');
+      expect(isPseudoLocalized(pseudoLocalize('This is test'))).to.equal(true);
+    });
+
+    it('should keep placeholders, markup and entities intact', () => {
+      expect(pseudoLocalize('Hi {name}, %s <b>new</b> &amp; {{count}}', { expansion: 0 }))
+        .to.equal('[Ĥî {name}, %s <b>ñéŵ</b> &amp; {{count}}~]');
+    });
+
+    it('should pseudo-localize the branches of ICU plural and select arguments', () => {
+      expect(pseudoLocalize('{count, plural, =0 {No items} other {# items}}', { expansion: 0 }))
+        .to.equal('[{count, plural, =0 {Ñö îţéɱš} other {# îţéɱš}}~]');
+      expect(pseudoLocalize('{gender, select, female {She} other {They}} replied'))
+        .to.equal('[{gender, select, female {Šĥé} other {Ţĥéý}} ŕéþļîéð~~~]');
+    });
+
+    it('should rewrite nested bundles and JSON sources', () => {
+      const bundle = { common: { save: 'Save', items: ['One'] }, count: 3 };
+      expect(pseudoLocalizeBundle(bundle)).to.deep.equal({ common: { save: '[Šáṽé~]', items: ['[Öñé~]'] }, count: 3 });
+      expect(pseudoLocalizeBundle(JSON.stringify(bundle))).to.equal(JSON.stringify(pseudoLocalizeBundle(bundle)));
+      expect(pseudoLocalizeBundle('not json')).to.equal('not json');
+    });
+
+    it('should recognize every text node of a value with markup', () => {
+      const [before, link, after] = pseudoLocalize('Read our <a>terms</a> now').split(/<[^>]+>/);
+      expect([before, link, after].map(isPseudoLocalized)).to.deep.equal([true, true, true]);
+      expect(isPseudoLocalized('Crème brûlée')).to.equal(false);
+    });
+
+    it('should not pseudo-localize a value twice', () => {
+      expect(pseudoLocalize(pseudoLocalize('Save'))).to.equal('[Šáṽé~]');
+    });
+  });
+
+  describe('hardcoded strings', () => {
+    beforeEach(() => {
+      cy.visit('clean-page.html');
+    });
+
+    afterEach(() => {
+      unmountFixture();
+    });
+
+    it('should report text and attributes that were not pseudo-localized', () => {
+      mountFixture(`
+        <h1 id="translated">[Ŵéļçöɱé~~]</h1>
+        <p id="interpolated">[Ĥéļļö~~] Ada</p>
+        <button id="hardcoded">Submit order</button>
+        <input id="placeholder" placeholder="Search products">
+        <span id="price">€ 12.50</span>
+      `);
+
+      cy.checkTranslations({ pseudoLocalization, excludeSelectors: fixtureExcludeSelectors, failOnError: false, logErrors: false }).then((errors) => {
+        expect(errors.map(error => [error.selector, error.type, error.ruleId])).to.deep.equal([
+          ['#hardcoded', 'text', 'hardcoded-string'],
+          ['#placeholder', 'attribute', 'hardcoded-string']
+        ]);
+      });
+    });
+
+    it('should not report the text nodes of a pseudo-localized value with markup', () => {
+      mountFixture(`
+        <p id="terms">${pseudoLocalize('Read our <a href="#terms">terms</a> now')}</p>
+        <p id="hardcoded">Read our <a href="#terms">terms</a> now</p>
+      `);
+
+      cy.checkTranslations({ pseudoLocalization, excludeSelectors: fixtureExcludeSelectors, failOnError: false, logErrors: false }).then((errors) => {
+        expect(errors.map(error => error.text)).to.deep.equal(['Read our', 'terms', 'now']);
+        errors.forEach(error => expect(error.ruleId).to.equal('hardcoded-string'));
+      });
+    });
+
+    it('should not report hardcoded strings without pseudo-localization', () => {
+      mountFixture('<button id="hardcoded">Submit order</button>');
+
+      cy.checkTranslations({ excludeSelectors: fixtureExcludeSelectors, failOnError: false, logErrors: false }).then((errors) => {
+        expect(errors).to.have.length(0);
+      });
+    });
+
+    it('should accept allowed keys and ignored elements', () => {
+      mountFixture(`
+        <span id="brand">Acme</span>
+        <span id="user" data-translation-ignore>Ada Lovelace</span>
+      `);
+
+      cy.checkTranslations({
+        pseudoLocalization,
+        excludeSelectors: fixtureExcludeSelectors,
+        allowedKeys: ['Acme'],
+        failOnError: false,
+        logErrors: false
+      }).then((errors) => {
+        expect(errors).to.have.length(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the report files written when the run ends
+ * Runs the after:run handler of a sandboxed plugin instance
+ */
+
+const reports = { formats: ['junit', 'json', 'sarif', 'html'], outputDir: 'reports' };
+
+const rawKey = { type: 'text', element: 'P', selector: '#title', text: 'checkout.title', ruleId: 'raw-key', severity: 'error' };
+const fallback = { type: 'text', element: 'P', selector: '#intro', text: 'Welcome back', ruleId: 'fallback-text', severity: 'warning' };
+const leak = { type: 'text', element: 'P', selector: '#total', text: 'Total: NaN', ruleId: 'serialization-leak', severity: 'error' };
+const note = { type: 'text', element: 'P', selector: '#price', text: '1,50 €', ruleId: 'locale-format', severity: 'info' };
+
+const pages = [
+  { url: 'http://localhost/checkout.html', errors: [rawKey, fallback, leak] },
+  { url: 'http://localhost/account.html', errors: [fallback, note] },
+  { url: 'http://localhost/home.html', errors: [] }
+];
+
+describe('Translation Checker - Report Files', () => {
+  let sandboxRoot;
+
+  before(() => {
+    cy.task('resetTranslationCheckerSandbox').then((root) => {
+      sandboxRoot = root;
+    });
+
+    pages.forEach((page) => {
+      cy.task('runSandboxedPlugin', {
+        task: 'storeTranslationResult',
+        arg: { ...page, testContext: 'checkout flow', spec: 'checkout.cy.js', runId: 'run-1' }
+      });
+    });
+
+    cy.task('runSandboxedPlugin', { options: { reports }, event: 'after:run' });
+  });
+
+  it('should fail only the JUnit testcases of pages with errors', () => {
+    cy.then(() => cy.readFile(`${sandboxRoot}/reports/translations.junit.xml`)).then((xml) => {
+      const doc = new DOMParser().parseFromString(xml, 'application/xml');
+      const suite = doc.querySelector('testsuite');
+
+      expect(suite.getAttribute('tests')).to.equal('3');
+      expect(suite.getAttribute('failures')).to.equal('1');
+
+      const failures = Array.from(doc.querySelectorAll('testcase'))
+        .filter(testcase => testcase.querySelector('failure'))
+        .map(testcase => [testcase.getAttribute('name'), testcase.querySelector('failure').getAttribute('message')]);
+      expect(failures).to.deep.equal([['http://localhost/checkout.html', '2 translation error(s)']]);
+    });
+  });
+
+  it('should map SARIF results to their rule and severity', () => {
+    cy.then(() => cy.readFile(`${sandboxRoot}/reports/translations.sarif`)).then((sarif) => {
+      const [run] = sarif.runs;
+      const ruleIds = run.tool.driver.rules.map(rule => rule.id);
+
+      expect(ruleIds).to.have.members(['raw-key', 'fallback-text', 'serialization-leak', 'locale-format']);
+      expect(run.results).to.have.length(5);
+      run.results.forEach((result) => {
+        expect(ruleIds[result.ruleIndex]).to.equal(result.ruleId);
+      });
+
+      const levels = run.results.reduce((byRule, result) => ({ ...byRule, [result.ruleId]: result.level }), {});
+      expect(levels).to.deep.equal({
+        'raw-key': 'error',
+        'fallback-text': 'warning',
+        'serialization-leak': 'error',
+        'locale-format': 'note'
+      });
+    });
+  });
+
+  it('should write the JSON summary and the HTML report', () => {
+    cy.then(() => cy.readFile(`${sandboxRoot}/reports/translations.json`)).then((report) => {
+      expect(report.schemaVersion).to.equal(1);
+      expect(report.summary).to.deep.equal({
+        pages: 3,
+        pagesWithIssues: 2,
+        issues: 5,
+        severities: { error: 2, warning: 2, info: 1 }
+      });
+    });
+
+    cy.then(() => cy.readFile(`${sandboxRoot}/reports/translations.html`)).should('contain', 'checkout.title');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for aggregating the results stored for a page across tests, spec files and runs
+ * Results go to a sandboxed plugin instance, so they are not part of this suite's validation
+ */
+
+const url = 'http://localhost/history.html';
+const rawKey = { type: 'text', selector: '#title', text: 'checkout.title' };
+const fallback = { type: 'text', selector: '#intro', text: 'Welcome back' };
+
+const storeResult = result => cy.task('runSandboxedPlugin', { task: 'storeTranslationResult', arg: { url, ...result } });
+const getResults = () => cy.task('runSandboxedPlugin', { task: 'getTranslationResults' });
+
+// Function to get the path of the file the sandboxed store keeps a page's results in
+const resultFile = (sandboxRoot, page) => {
+  return cy.wrap(crypto.subtle.digest('SHA-1', new TextEncoder().encode(page)), { log: false }).then((digest) => {
+    const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${sandboxRoot}/cypress/translation-results/${hash}.json`;
+  });
+};
+
+describe('Translation Checker - Result History', () => {
+  let sandboxRoot;
+
+  beforeEach(() => {
+    cy.task('resetTranslationCheckerSandbox').then((root) => {
+      sandboxRoot = root;
+    });
+  });
+
+  it('should merge the results of several tests on one page', () => {
+    storeResult({ errors: [rawKey], testContext: 'first test', spec: 'a.cy.js', runId: 'run-1' });
+    storeResult({ errors: [rawKey, fallback], testContext: 'second test', spec: 'b.cy.js', runId: 'run-2' });
+
+    getResults().then((results) => {
+      expect(results).to.have.length(1);
+      const [result] = results;
+
+      expect(result).not.to.have.property('history');
+      expect(result.testContext).to.equal('first test');
+      expect(result.tests).to.deep.equal(['first test', 'second test']);
+      expect(result.specs).to.deep.equal(['a.cy.js', 'b.cy.js']);
+
+      // The issue both tests found is stored once and lists both of them
+      expect(result.errors).to.have.length(2);
+      expect(result.errors[0]).to.include({ selector: '#title', text: 'checkout.title' });
+      expect(result.errors[0].tests).to.deep.equal(['first test', 'second test']);
+      expect(result.errors[0].specs).to.deep.equal(['a.cy.js', 'b.cy.js']);
+      expect(result.errors[1].tests).to.deep.equal(['second test']);
+    });
+  });
+
+  it('should replace the findings of a test that runs again', () => {
+    storeResult({ errors: [rawKey], testContext: 'first test', spec: 'a.cy.js', runId: 'run-1' });
+    storeResult({ errors: [fallback], testContext: 'second test', spec: 'a.cy.js', runId: 'run-1' });
+
+    // The first test is fixed and re-run in a later spec run
+    storeResult({ errors: [], testContext: 'first test', spec: 'a.cy.js', runId: 'run-2' });
+
+    getResults().then(([result]) => {
+      expect(result.errors.map(error => error.text)).to.deep.equal(['Welcome back']);
+      expect(result.tests).to.deep.equal(['second test', 'first test']);
+      expect(result.specs).to.deep.equal(['a.cy.js']);
+    });
+  });
+
+  it('should keep every check of a test within the same run', () => {
+    storeResult({ errors: [rawKey], testContext: 'first test', spec: 'a.cy.js', runId: 'run-1' });
+    storeResult({ errors: [fallback], testContext: 'first test', spec: 'a.cy.js', runId: 'run-1' });
+
+    getResults().then(([result]) => {
+      expect(result.errors.map(error => error.text)).to.deep.equal(['checkout.title', 'Welcome back']);
+      expect(result.tests).to.deep.equal(['first test']);
+    });
+  });
+
+  it('should fail instead of overwriting a result file it cannot read', () => {
+    storeResult({ errors: [rawKey], testContext: 'first test', spec: 'a.cy.js', runId: 'run-1' });
+    cy.then(() => resultFile(sandboxRoot, url)).then(file => cy.writeFile(file, '{ "url": "http://localhost/hist'));
+
+    cy.on('fail', (error) => {
+      expect(error.message).to.include('is not valid JSON');
+    });
+    storeResult({ errors: [fallback], testContext: 'second test', spec: 'b.cy.js', runId: 'run-2' });
+  });
+
+  it('should remove locks and temporary files when clearing the results', () => {
+    storeResult({ errors: [rawKey], testContext: 'first test', spec: 'a.cy.js', runId: 'run-1' });
+
+    cy.then(() => resultFile(sandboxRoot, url)).then((file) => {
+      cy.writeFile(`${file}.lock`, '');
+      cy.writeFile(`${file}.1234.tmp`, '{');
+      cy.task('runSandboxedPlugin', { task: 'clearTranslationResults' });
+
+      cy.readFile(file).should('not.exist');
+      cy.readFile(`${file}.lock`).should('not.exist');
+      cy.readFile(`${file}.1234.tmp`).should('not.exist');
+    });
+    getResults().should('deep.equal', []);
+  });
+});
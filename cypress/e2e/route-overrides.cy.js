@@ -0,0 +1,96 @@
+/**
+ * Tests for route-scoped option overrides
+ */
+
+import { mountFixture, unmountFixture } from '../support/fixtures';
+
+describe('Translation Checker - Route Overrides', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should replace patterns on matching pages', () => {
+    mountFixture('<pre>{{ user.name }}</pre><p>i18n.sample.text</p>');
+
+    cy.checkTranslations({
+      overrides: [{ match: '**/clean-page.html', patterns: [/i18n\./] }],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].text).to.equal('i18n.sample.text');
+    });
+  });
+
+  it('should replace checked attributes on matching pages', () => {
+    mountFixture('<button title="i18n.admin.save" data-tooltip="i18n.admin.tooltip">Save</button>');
+
+    cy.checkTranslations({
+      overrides: [{ match: /clean-page\.html$/, checkAttributes: ['data-tooltip'] }],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].attribute).to.equal('data-tooltip');
+    });
+  });
+
+  it('should skip pages where checking is disabled', () => {
+    mountFixture('<p>{{ user.name }}</p>');
+
+    cy.checkTranslations({
+      overrides: [{ match: ['/playground/**', '**/clean-page.html'], disabled: true }],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+
+  it('should keep a page disabled when a later matching block sets other options', () => {
+    mountFixture('<p>{{ user.name }}</p>');
+
+    cy.checkTranslations({
+      overrides: [
+        { match: '**/clean-page.html', disabled: true },
+        { match: '**/*.html', waitTime: 1000 }
+      ],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+
+  it('should check a page again when a later matching block sets disabled to false', () => {
+    mountFixture('<p>{{ user.name }}</p>');
+
+    cy.checkTranslations({
+      overrides: [
+        { match: '**/*.html', disabled: true },
+        { match: '**/clean-page.html', disabled: false }
+      ],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+    });
+  });
+
+  it('should keep the global options on other pages', () => {
+    mountFixture('<p>{{ user.name }}</p>');
+
+    cy.checkTranslations({
+      overrides: [{ match: '/admin/**', disabled: true }],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+    });
+  });
+});
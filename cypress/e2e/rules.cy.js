@@ -0,0 +1,65 @@
+/**
+ * Tests for named rules and severities
+ */
+
+import { mountFixture, unmountFixture } from '../support/fixtures';
+
+describe('Translation Checker - Rules and Severities', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should report the rule id and severity of built-in rules', () => {
+    mountFixture('<p>{{ user.name }}</p>');
+
+    cy.checkTranslations({ failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].ruleId).to.equal('raw-key-pattern');
+      expect(errors[0].severity).to.equal('error');
+    });
+  });
+
+  it('should report custom pattern rules with their own severity', () => {
+    mountFixture('<p>Hello %s</p>');
+
+    cy.checkTranslations({
+      patterns: [{ id: 'printf-placeholder', pattern: /%[sd]/, severity: 'warning' }],
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].ruleId).to.equal('printf-placeholder');
+      expect(errors[0].severity).to.equal('warning');
+    });
+  });
+
+  it('should not fail on warnings', () => {
+    mountFixture('<p>{{ user.name }}</p>');
+
+    cy.checkTranslations({
+      rules: { 'raw-key-pattern': 'warning' },
+      failOnError: true,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(1);
+      expect(errors[0].severity).to.equal('warning');
+    });
+  });
+
+  it('should skip rules that are turned off', () => {
+    mountFixture('<p>{{ user.name }}</p>');
+
+    cy.checkTranslations({
+      rules: { 'raw-key-pattern': 'off' },
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for screenshots of highlighted translation issues
+ */
+
+import { mountFixture, unmountFixture } from '../support/fixtures';
+
+describe('Translation Checker - Screenshots', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should store the page screenshot path on each issue', () => {
+    mountFixture('<h2>{{ checkout.title }}</h2><p>i18n.checkout.intro</p>');
+
+    cy.checkTranslations({ screenshots: true, failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors).to.have.length(2);
+      errors.forEach((error) => {
+        expect(error.screenshot).to.be.a('string').and.include('translation-issues');
+        expect(error).not.to.have.property('issueScreenshot');
+      });
+    });
+  });
+
+  it('should take a cropped screenshot per issue', () => {
+    mountFixture('<h2>{{ checkout.title }}</h2><input placeholder="i18n.checkout.email">');
+
+    cy.checkTranslations({
+      screenshots: { perIssue: true },
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(2);
+      expect(errors[0].issueScreenshot).to.include('-issue-1');
+      expect(errors[1].issueScreenshot).to.include('-issue-2');
+    });
+  });
+
+  it('should not take screenshots of clean pages', () => {
+    mountFixture('<h2>Checkout</h2>');
+
+    cy.checkTranslations({ screenshots: true, failOnError: false, logErrors: false }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for checking content inside open shadow roots
+ * Shadow roots are attached to mounted hosts, mimicking web components
+ */
+
+import { mountFixture, unmountFixture } from '../support/fixtures';
+
+const attachShadow = (container, hostSelector, html) => {
+  const host = container.querySelector(hostSelector);
+  host.attachShadow({ mode: 'open' }).innerHTML = html;
+  return host.shadowRoot;
+};
+
+describe('Translation Checker - Shadow DOM', () => {
+
+  beforeEach(() => {
+    cy.visit('clean-page.html');
+  });
+
+  afterEach(() => {
+    unmountFixture();
+  });
+
+  it('should detect issues inside open and nested shadow roots', () => {
+    mountFixture('<div class="card-host"></div>').then((container) => {
+      const shadowRoot = attachShadow(container, '.card-host', '<h3>{{card.title}}</h3><div class="badge-host"></div>');
+      attachShadow(shadowRoot, '.badge-host', '<span title="i18n.badge.tooltip">New</span>');
+    });
+
+    cy.checkTranslations({
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      const titleError = errors.find(e => e.text === '{{card.title}}');
+      expect(titleError, 'issue inside shadow root').to.exist;
+      expect(titleError.selector).to.contain(' >>> ');
+      expect(titleError.xpath).to.contain(' >>> ');
+
+      const nestedError = errors.find(e => e.type === 'attribute' && e.text === 'i18n.badge.tooltip');
+      expect(nestedError, 'issue inside nested shadow root').to.exist;
+      expect(nestedError.selector.split(' >>> ')).to.have.length(3);
+    });
+  });
+
+  it('should detect slotted content', () => {
+    mountFixture('<div class="slot-host"><span>{{slotted.label}}</span></div>').then((container) => {
+      attachShadow(container, '.slot-host', '<div class="frame"><slot>{{unused.fallback}}</slot></div>');
+    });
+
+    cy.checkTranslations({
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      const texts = errors.map(e => e.text);
+      expect(texts).to.include('{{slotted.label}}');
+      expect(texts, 'fallback content of a filled slot').not.to.include('{{unused.fallback}}');
+    });
+  });
+
+  it('should apply excludeSelectors inside shadow trees and to slotted content', () => {
+    mountFixture('<div class="ignore-host"><span>{{slotted.ignored}}</span></div>').then((container) => {
+      attachShadow(
+        container,
+        '.ignore-host',
+        '<div data-translation-ignore><p>{{shadow.ignored}}</p><slot></slot></div>'
+      );
+    });
+
+    cy.checkTranslations({
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+
+  it('should skip shadow roots when checkShadowDom is disabled', () => {
+    mountFixture('<div class="card-host"></div>').then((container) => {
+      attachShadow(container, '.card-host', '<h3>{{card.title}}</h3>');
+    });
+
+    cy.checkTranslations({
+      checkShadowDom: false,
+      failOnError: false,
+      logErrors: false
+    }).then((errors) => {
+      expect(errors).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Tests for grouping concrete URLs into routes
+ */
+
+import { normalizeUrl } from '../../urls';
+
+describe('Translation Checker - URL Normalization', () => {
+
+  it('should map path route templates', () => {
+    const options = { routes: ['/orders/:id', '/docs/*'] };
+
+    expect(normalizeUrl('https://shop.test/orders/123', options)).to.equal('https://shop.test/orders/:id');
+    expect(normalizeUrl('https://shop.test/orders/456/', options)).to.equal('https://shop.test/orders/:id');
+    expect(normalizeUrl('https://shop.test/docs/guide/setup', options)).to.equal('https://shop.test/docs/*');
+    expect(normalizeUrl('https://shop.test/orders', options)).to.equal('https://shop.test/orders');
+  });
+
+  it('should drop selected parameters and strip query or hash', () => {
+    const url = 'https://shop.test/orders?tab=2&utm_source=mail#details';
+
+    expect(normalizeUrl(url, { dropParams: ['utm_source'] })).to.equal('https://shop.test/orders?tab=2#details');
+    expect(normalizeUrl(url, { stripQuery: true })).to.equal('https://shop.test/orders#details');
+    expect(normalizeUrl(url, { stripHash: true })).to.equal('https://shop.test/orders?tab=2&utm_source=mail');
+  });
+
+  it('should map hash route templates', () => {
+    const options = { routes: ['#/users/:id'] };
+
+    expect(normalizeUrl('https://app.test/#/users/42', options)).to.equal('https://app.test/#/users/:id');
+    expect(normalizeUrl('https://app.test/#/users/42?edit=1', options)).to.equal('https://app.test/#/users/:id');
+  });
+
+  it('should leave URLs that cannot be parsed unchanged', () => {
+    expect(normalizeUrl('not a url', { stripQuery: true })).to.equal('not a url');
+  });
+});
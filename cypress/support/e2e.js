@@ -33,9 +33,14 @@ enableAutoTranslationCheck({
     '[data-translation-ignore]',
     '.translation-ignore',
     'code',
-    'pre'
+    'pre',
+    // Markup mounted by specs with mountFixture (cypress/support/fixtures.js)
+    '#translation-fixture'
   ],
 
+  // Check toasts, modals and other content that is removed before the page is scanned
+  monitorMutations: true,
+
   // Whether to log errors to console
   logErrors: true,
 
@@ -43,5 +48,24 @@ enableAutoTranslationCheck({
   allowedKeys: [],
 
   // Attributes to check for translation issues
-  checkAttributes: ['placeholder', 'title', 'alt', 'aria-label', 'span', 'label']
+  checkAttributes: ['placeholder', 'title', 'alt', 'aria-label', 'span', 'label'],
+
+  overrides: [
+    {
+      // Re-checked in other locales by cypress/e2e/locale-checks.cy.js
+      match: /[?&]locale-checks\b/,
+      locales: ['en', 'nl'],
+      localeSwitch: { strategy: 'query', name: 'lang' }
+    },
+    {
+      // Scanned after a longer wait by cypress/e2e/navigation-scans.cy.js
+      match: /[?&]slow-render\b/,
+      waitTime: 1500
+    },
+    {
+      // Captured before the test navigates away by cypress/e2e/navigation-scans.cy.js
+      match: /[?&]screenshots\b/,
+      screenshots: true
+    }
+  ]
 });
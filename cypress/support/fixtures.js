@@ -0,0 +1,31 @@
+/**
+ * Helpers for specs that mount their own markup into a visited page
+ * The automatic translation check excludes the container (see e2e.js), so deliberately broken markup
+ * is only reported by the spec's own cy.checkTranslations calls
+ */
+
+import { defaultConfig } from '../../index';
+
+export const FIXTURE_ID = 'translation-fixture';
+
+// For cy.checkTranslations calls that check only the mounted markup, not the page around it
+export const fixtureExcludeSelectors = [...defaultConfig.excludeSelectors, `body > :not(#${FIXTURE_ID})`];
+
+export const mountFixture = (html) => {
+  return cy.document().then((doc) => {
+    const container = doc.createElement('div');
+    container.id = FIXTURE_ID;
+    container.innerHTML = html;
+    doc.body.appendChild(container);
+    return container;
+  });
+};
+
+export const unmountFixture = () => {
+  cy.document().then((doc) => {
+    const container = doc.getElementById(FIXTURE_ID);
+    if (container) {
+      container.remove();
+    }
+  });
+};
@@ -0,0 +1,13 @@
+export type TranslationDetectorName = 'icu' | 'printf' | 'rails' | 'dotnet' | 'serialization';
+
+export interface TranslationDetector {
+  id: string;
+  description: string;
+  pattern: RegExp;
+}
+
+export declare const builtInDetectors: Record<TranslationDetectorName, TranslationDetector>;
+
+export declare function getDetectorRules(
+  names?: TranslationDetectorName[]
+): Array<TranslationDetector & { severity: 'error' }>;
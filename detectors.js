@@ -0,0 +1,64 @@
+/**
+ * Cypress Translation Checker - Built-in detectors
+ * Catch interpolation placeholders and serialized values that leak into the UI when formatting breaks
+ * Each detector is a pattern rule and can be enabled by name with the `detectors` option
+ */
+
+/**
+ * Built-in detectors by name
+ * The expressions require placeholder syntax that does not occur in normal prose
+ */
+const builtInDetectors = {
+  // {count, plural, one {# item} other {# items}}, {gender, select, ...}, {price, number}, and names that read as code
+  // ({userName}, {user.name}) or come in pairs ({first} {last}); a lone {word} also occurs in prose, and %{name} is Rails
+  icu: {
+    id: 'icu-message',
+    description: 'ICU MessageFormat placeholder was not formatted',
+    pattern: /(?<!%)\{\s*[A-Za-z_][\w.]*\s*,\s*(?:plural|selectordinal|select|number|date|time)\b[^{}]*(?:\{[^{}]*\}[^{}]*)*\}|(?<!%)\{\s*[A-Za-z_][\w.]*?(?:[_.\d]|[a-z][A-Z])[\w.]*\s*\}|(?<!%)\{\s*[A-Za-z_][\w.]*\s*\}[^{}]*(?<!%)\{\s*[A-Za-z_][\w.]*\s*\}/
+  },
+  // %s, %d, %1$s, %.2f, %@ (but not "100% sure" or "%%")
+  printf: {
+    id: 'printf-placeholder',
+    description: 'printf-style placeholder was not formatted',
+    pattern: /(?<![\w%])%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?(?:hh|h|ll|l)?[sdifuxXeEgGc@](?![A-Za-z])/
+  },
+  // %{user}, %<count>d
+  rails: {
+    id: 'rails-placeholder',
+    description: 'Rails-style placeholder was not interpolated',
+    pattern: /%\{\s*\w+\s*\}|%<\w+>[sdifg]/
+  },
+  // {0}, {1:N2}, {0,-10}
+  dotnet: {
+    id: 'dotnet-placeholder',
+    description: '.NET composite format item was not formatted',
+    pattern: /\{\d+(?:\s*,\s*-?\d+)?(?::[^{}]*)?\}/
+  },
+  // [object Object], Invalid Date, NaN, and undefined/null as a value ("Total: undefined") rather than a word in a sentence
+  serialization: {
+    id: 'serialization-leak',
+    description: 'JavaScript value was rendered instead of text',
+    pattern: /\[object [A-Z]\w*\]|\bInvalid Date\b|(?<![\w.])NaN(?![\w.])|(?:^|[:=,$€£(]\s*)(?:undefined|null)(?=\s*(?:$|[!?.,;:)]))/
+  }
+};
+
+/**
+ * Converts detector names into pattern rules
+ * @param {Array<string>} names - Detector names, see builtInDetectors
+ * @returns {Array<Object>} Pattern rules ({ id, pattern, description, severity })
+ */
+const getDetectorRules = (names = []) => {
+  return names.map((name) => {
+    const detector = builtInDetectors[name];
+    if (!detector) {
+      throw new Error(`Unknown translation detector "${name}" (available: ${Object.keys(builtInDetectors).join(', ')})`);
+    }
+
+    return { ...detector, severity: 'error' };
+  });
+};
+
+module.exports = {
+  builtInDetectors,
+  getDetectorRules
+};
@@ -0,0 +1,19 @@
+export interface LocaleConventions {
+  decimal: string;
+  group: string;
+  currencyPosition: 'before' | 'after';
+  dateOrder: string;
+  dateSeparator: string;
+  twelveHour: boolean;
+}
+
+export interface FormatFinding {
+  kind: 'number' | 'date' | 'time' | 'currency';
+  value: string;
+  expected: string;
+  reason: string;
+}
+
+export declare function getLocaleConventions(locale: string, currency?: string): LocaleConventions;
+
+export declare function findFormatIssues(text: string, locale: string, options?: { currency?: string }): FormatFinding[];
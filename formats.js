@@ -0,0 +1,196 @@
+/**
+ * Cypress Translation Checker - Locale formatting
+ * Finds numbers, dates, times and currency amounts in text and compares them with the Intl conventions of a locale
+ */
+
+const conventionsCache = new Map();
+
+const SAMPLE_DATE = new Date(2026, 9, 19);
+const CURRENCY_SYMBOLS = ['R\\$', 'CHF', 'zł', 'kr', 'Kč', '€', '\\$', '£', '¥', '₹', '₽'];
+const NUMBER = "\\d{1,3}(?:[.,\\u00a0\\u202f'’]\\d{3})+(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)?";
+
+const DATE_PATTERN = /(?<![\d.\/-])(\d{1,4})([./-])(\d{1,2})\2(\d{1,4})(?!\d|[./-]\d)/g;
+const TIME_PATTERN = /(?<![\d:])(\d{1,2}):(\d{2})(?::\d{2})?(?:\s*([AaPp])\.?[Mm]\.?(?![A-Za-z]))?(?![\d:])/g;
+const CURRENCY_PATTERN = new RegExp(
+  `(?:(${CURRENCY_SYMBOLS.join('|')})[\\s\\u00a0\\u202f]?(${NUMBER}))|(?:(${NUMBER})[\\s\\u00a0\\u202f]?(${CURRENCY_SYMBOLS.join('|')}))`,
+  'g'
+);
+const NUMBER_PATTERN = new RegExp(`(?<![\\w.,])(?:${NUMBER})(?![\\w]|[.,]\\d)`, 'g');
+
+// Grouping separators that look alike in rendered text
+const normalizeGroup = separator => separator.replace(/\s/, ' ').replace('’', "'");
+
+/**
+ * Gets the formatting conventions of a locale from Intl
+ * @param {string} locale - BCP 47 locale
+ * @param {string} currency - Currency used to determine the symbol placement (default: 'EUR')
+ * @returns {{decimal: string, group: string, currencyPosition: string, dateOrder: string, dateSeparator: string, twelveHour: boolean}}
+ */
+const getLocaleConventions = (locale, currency = 'EUR') => {
+  const cacheKey = `${locale}|${currency}`;
+  if (conventionsCache.has(cacheKey)) {
+    return conventionsCache.get(cacheKey);
+  }
+
+  const partOf = (parts, type) => (parts.find(part => part.type === type) || {}).value;
+  const numberParts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+  const currencyParts = new Intl.NumberFormat(locale, { style: 'currency', currency }).formatToParts(1234.5);
+  const dateParts = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(SAMPLE_DATE);
+  const { hourCycle } = new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions();
+
+  const conventions = {
+    decimal: partOf(numberParts, 'decimal') || '.',
+    group: partOf(numberParts, 'group') || ',',
+    currencyPosition: currencyParts.findIndex(part => part.type === 'currency') <
+      currencyParts.findIndex(part => part.type === 'integer') ? 'before' : 'after',
+    dateOrder: dateParts.filter(part => ['day', 'month', 'year'].includes(part.type)).map(part => part.type[0]).join(''),
+    dateSeparator: (partOf(dateParts, 'literal') || '/').trim(),
+    twelveHour: hourCycle === 'h11' || hourCycle === 'h12'
+  };
+
+  conventionsCache.set(cacheKey, conventions);
+  return conventions;
+};
+
+const DATE_ORDER_NAMES = { dmy: 'day before month', mdy: 'month before day', ymd: 'year first' };
+
+// Function to check a date such as 10/19/2026; dates whose day and month cannot be told apart are only checked for their separator
+const checkDate = (match, locale, conventions) => {
+  const [value, first, separator, second, third] = match;
+  const order = first.length === 4 ? 'ymd'
+    : third.length !== 2 && third.length !== 4 ? null
+      : Number(first) > 12 && Number(second) <= 12 ? 'dmy'
+        : Number(second) > 12 && Number(first) <= 12 ? 'mdy'
+          : Number(first) <= 12 && Number(second) <= 12 ? conventions.dateOrder
+            : null;
+
+  if (!order) {
+    return null;
+  }
+
+  const parts = { [order[0]]: first, [order[1]]: second, [order[2]]: third };
+  const year = parts.y.length === 2 ? 2000 + Number(parts.y) : Number(parts.y);
+  const expected = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(year, Number(parts.m) - 1, Number(parts.d)));
+
+  if (order !== conventions.dateOrder) {
+    return { kind: 'date', value, expected, reason: `${DATE_ORDER_NAMES[order]}, expected ${DATE_ORDER_NAMES[conventions.dateOrder]}` };
+  }
+
+  if (separator !== conventions.dateSeparator) {
+    return { kind: 'date', value, expected, reason: `"${separator}" between date parts, expected "${conventions.dateSeparator}"` };
+  }
+
+  return null;
+};
+
+// Function to check a time such as 10:30 PM against the locale's hour cycle
+const checkTime = (match, locale, conventions) => {
+  const [value, hours, minutes, meridiem] = match;
+  const formatTime = hour => new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit' })
+    .format(new Date(2026, 9, 19, hour, Number(minutes)));
+
+  if (meridiem && !conventions.twelveHour) {
+    const hour = (Number(hours) % 12) + (/p/i.test(meridiem) ? 12 : 0);
+    return { kind: 'time', value, expected: formatTime(hour), reason: '12-hour clock, expected 24-hour clock' };
+  }
+
+  if (!meridiem && conventions.twelveHour && Number(hours) > 12 && Number(hours) < 24) {
+    return { kind: 'time', value, expected: formatTime(Number(hours)), reason: '24-hour clock, expected 12-hour clock' };
+  }
+
+  return null;
+};
+
+// Function to check a number such as 1,234.50; a single separator followed by exactly three digits is ambiguous and not checked
+const checkNumber = (value, locale, conventions) => {
+  const separators = value.match(/\D/g);
+  if (!separators) {
+    return null;
+  }
+
+  const distinct = [...new Set(separators)];
+  let decimal = null;
+  let group = null;
+
+  if (distinct.length > 1) {
+    decimal = separators[separators.length - 1];
+    group = separators[0];
+  } else if (separators.length > 1 || !/[.,]/.test(separators[0])) {
+    group = separators[0];
+  } else if (value.split(separators[0])[1].length !== 3) {
+    decimal = separators[0];
+  } else {
+    return null;
+  }
+
+  const fraction = decimal ? value.slice(value.lastIndexOf(decimal) + 1) : '';
+  const integer = (decimal ? value.slice(0, value.lastIndexOf(decimal)) : value).replace(/\D/g, '');
+  const expected = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: fraction.length,
+    maximumFractionDigits: fraction.length
+  }).format(Number(`${integer}.${fraction || 0}`));
+
+  if (decimal && decimal !== conventions.decimal) {
+    return { kind: 'number', value, expected, reason: `"${decimal}" as decimal separator, expected "${conventions.decimal}"` };
+  }
+
+  if (group && normalizeGroup(group) !== normalizeGroup(conventions.group)) {
+    return { kind: 'number', value, expected, reason: `"${group}" as grouping separator, expected "${conventions.group}"` };
+  }
+
+  return null;
+};
+
+/**
+ * Finds numbers, dates, times and currency amounts that do not follow the conventions of a locale
+ * Dates and times are found first, so their digits are not read as numbers
+ * @param {string} text - Text to check
+ * @param {string} locale - Locale the text is expected to be formatted for
+ * @param {Object} options - Formatting options
+ * @param {string} options.currency - Currency used to determine the symbol placement (default: 'EUR')
+ * @returns {Array<{kind: string, value: string, expected: string, reason: string}>} Findings: dates, times, currency amounts, then numbers
+ */
+const findFormatIssues = (text, locale, options = {}) => {
+  const conventions = getLocaleConventions(locale, options.currency);
+  const findings = [];
+  let remaining = String(text);
+
+  const mask = (match) => {
+    remaining = remaining.slice(0, match.index) + ' '.repeat(match[0].length) + remaining.slice(match.index + match[0].length);
+  };
+
+  [...remaining.matchAll(DATE_PATTERN)].forEach((match) => {
+    findings.push(checkDate(match, locale, conventions));
+    mask(match);
+  });
+
+  [...remaining.matchAll(TIME_PATTERN)].forEach((match) => {
+    findings.push(checkTime(match, locale, conventions));
+    mask(match);
+  });
+
+  [...remaining.matchAll(CURRENCY_PATTERN)].forEach((match) => {
+    const position = match[1] ? 'before' : 'after';
+    if (position !== conventions.currencyPosition) {
+      findings.push({
+        kind: 'currency',
+        value: match[0],
+        expected: `symbol ${conventions.currencyPosition} the amount`,
+        reason: `symbol ${position} the amount`
+      });
+    }
+  });
+
+  [...remaining.matchAll(NUMBER_PATTERN)].forEach((match) => {
+    findings.push(checkNumber(match[0], locale, conventions));
+  });
+
+  return findings.filter(Boolean);
+};
+
+module.exports = {
+  getLocaleConventions,
+  findFormatIssues
+};
@@ -1,11 +1,81 @@
+import type { TranslationPatternRule, TranslationRuleSetting } from './rules';
+import type { TranslationDetectorName } from './detectors';
+
 export interface TranslationCheckerOptions {
-  patterns?: Array<string | RegExp>;
+  patterns?: Array<string | RegExp | TranslationPatternRule>;
   excludeSelectors?: string[];
   failOnError?: boolean;
   logErrors?: boolean;
   allowedKeys?: string[];
   highlightInInspector?: boolean;
   checkAttributes?: string[];
+  catalogs?: Record<string, TranslationCatalog>;
+  locale?: string | null;
+  sourceLocale?: string;
+  checkShadowDom?: boolean;
+  checkIframes?: boolean;
+  checkHead?: boolean;
+  checkAccessibleNames?: boolean;
+  checkPseudoElements?: boolean;
+  detectors?: TranslationDetectorName[];
+  languageDetection?: TranslationLanguageDetectionOptions | null;
+  layoutDetection?: TranslationLayoutDetectionOptions | null;
+  keyCoverage?: TranslationKeyCoverageOptions | null;
+  documentLanguage?: TranslationDocumentLanguageOptions | null;
+  formatDetection?: TranslationFormatDetectionOptions | null;
+  hardcodedDetection?: TranslationHardcodedDetectionOptions | null;
+  pseudoLocalization?: TranslationPseudoLocalizationOptions | null;
+  rules?: Record<string, TranslationRuleSetting>;
+  screenshots?: boolean | TranslationScreenshotOptions;
+}
+
+export interface TranslationLanguageDetectionOptions {
+  minLength?: number;
+  minConfidence?: number;
+  language?: string;
+}
+
+export interface TranslationLayoutDetectionOptions {
+  tolerance?: number;
+  maxLines?: Record<string, number>;
+}
+
+export interface TranslationKeyCoverageOptions {
+  keyAttribute?: string;
+  matchValues?: boolean;
+  locale?: string;
+}
+
+export interface TranslationDocumentLanguageOptions {
+  nested?: boolean;
+  minLength?: number;
+  minConfidence?: number;
+  locale?: string;
+}
+
+export interface TranslationFormatDetectionOptions {
+  selectors?: string | string[] | null;
+  currency?: string;
+  locale?: string;
+}
+
+export interface TranslationHardcodedDetectionOptions {
+  allowlist?: Array<string | RegExp>;
+  locale?: string;
+}
+
+export interface TranslationPseudoLocalizationOptions {
+  urls: Array<string | RegExp>;
+  expansion?: number;
+}
+
+export interface TranslationScreenshotOptions {
+  perIssue?: boolean;
+  padding?: number;
+}
+
+export interface TranslationCatalog {
+  [key: string]: string | number | boolean | null | TranslationCatalog | TranslationCatalog[];
 }
 
 export declare const defaultConfig: Required<Omit<TranslationCheckerOptions, 'patterns'>> & {
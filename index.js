@@ -7,12 +7,30 @@ module.exports = {
   /**
    * Configuration options for the translation checker
    * @param {Object} config - Plugin configuration
-   * @param {Array<string|RegExp>} config.patterns - Patterns to detect untranslated keys (e.g., ['{{', 'i18n.', /^\[.*\]$/])
+   * @param {Array<string|RegExp|Object>} config.patterns - Patterns to detect untranslated keys (e.g., ['{{', 'i18n.', /^\[.*\]$/]) or pattern rules ({ id, pattern, description, severity })
    * @param {Array<string>} config.excludeSelectors - CSS selectors to exclude from checking
    * @param {boolean} config.failOnError - Whether to fail the test on translation errors (default: true)
    * @param {boolean} config.logErrors - Whether to log errors to console (default: true)
    * @param {Array<string>} config.allowedKeys - Specific translation keys that are allowed to show
   * @param {boolean} config.highlightInInspector - Whether to visually highlight elements with issues in the browser (default: true)
+   * @param {Object<string, Object>} config.catalogs - Translation catalogs keyed by locale (nested or flat JSON); text matching a key path is reported
+   * @param {string} config.locale - Locale the page is expected to be rendered in; enables fallback detection against `sourceLocale`
+   * @param {string} config.sourceLocale - Locale whose values leak in when a translation is missing (default: 'en')
+   * @param {boolean} config.checkShadowDom - Whether to descend into open shadow roots (default: true)
+   * @param {boolean} config.checkIframes - Whether to descend into same-origin iframes (default: false)
+   * @param {boolean} config.checkHead - Whether to check the title and the description and Open Graph metadata (default: false)
+   * @param {boolean} config.checkPseudoElements - Whether to check the text generated by ::before and ::after content (default: false)
+   * @param {boolean} config.checkAccessibleNames - Whether to check the computed accessible name and description of interactive elements (default: false)
+   * @param {boolean|Object} config.screenshots - Whether to screenshot pages with issues; { perIssue, padding } adds a cropped shot per issue (default: false)
+   * @param {Array<string>} config.detectors - Built-in detectors to enable by name: 'icu', 'printf', 'rails', 'dotnet', 'serialization' (see detectors.js)
+   * @param {Object|null} config.languageDetection - Report text nodes in another language than `locale`: { minLength, minConfidence, language } (default: null)
+   * @param {Object|null} config.layoutDetection - Report clipped, ellipsized and over-wrapped text: { tolerance, maxLines } (default: null)
+   * @param {Object|null} config.keyCoverage - Record the catalog keys rendered on each page: { keyAttribute, matchValues, locale } (default: null)
+   * @param {Object|null} config.documentLanguage - Check the root lang and dir against `locale` and nested lang attributes against their content: { nested, minLength, minConfidence, locale } (default: null)
+   * @param {Object|null} config.formatDetection - Report numbers, dates, times and amounts not formatted for `locale`: { selectors, currency, locale } (default: null)
+   * @param {Object|null} config.hardcodedDetection - Report text matching no catalog value of `locale`: { allowlist, locale } (default: null)
+   * @param {Object|null} config.pseudoLocalization - Pseudo-localize translation bundles and report text that is not: { urls, expansion } (default: null)
+   * @param {Object<string, string|Object>} config.rules - Severity ('error', 'warning', 'info' or 'off') per rule id, see rules.js
    */
   defaultConfig: {
     patterns: [
@@ -35,5 +53,23 @@ module.exports = {
     highlightInInspector: true,
     allowedKeys: [],
     checkAttributes: ['placeholder', 'title', 'alt', 'aria-label'],
+    catalogs: {},
+    locale: null,
+    sourceLocale: 'en',
+    checkShadowDom: true,
+    checkIframes: false,
+    checkHead: false,
+    checkAccessibleNames: false,
+    checkPseudoElements: false,
+    detectors: [],
+    languageDetection: null,
+    layoutDetection: null,
+    keyCoverage: null,
+    documentLanguage: null,
+    formatDetection: null,
+    hardcodedDetection: null,
+    pseudoLocalization: null,
+    rules: {},
+    screenshots: false,
   }
 };
@@ -0,0 +1,11 @@
+export declare const stopwordProfiles: Record<string, string[]>;
+
+export declare function getLanguage(locale: string | null | undefined): string | null;
+
+export declare function getTextDirection(locale: string | null | undefined): 'ltr' | 'rtl';
+
+export declare function identifyLanguage(text: string): {
+  language: string;
+  confidence: number;
+  hits: number;
+} | null;
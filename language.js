@@ -0,0 +1,119 @@
+/**
+ * Cypress Translation Checker - Offline language identification
+ * Classifies text by the stopwords it contains, using profiles bundled with the package
+ */
+
+/**
+ * Stopword profiles by language
+ * The most frequent function words of each language; content words are left out on purpose
+ */
+const stopwordProfiles = {
+  en: ['the', 'and', 'of', 'to', 'is', 'that', 'it', 'for', 'you', 'was', 'with', 'on', 'as', 'are', 'this',
+    'be', 'at', 'have', 'not', 'by', 'from', 'or', 'but', 'they', 'we', 'an', 'your', 'can', 'will', 'all',
+    'there', 'their', 'has', 'been', 'which', 'our', 'more', 'if', 'about', 'would', 'what', 'when', 'these',
+    'than', 'into', 'also', 'only', 'its', 'should', 'may', 'could', 'please'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'sich', 'des', 'auf',
+    'für', 'im', 'dem', 'sie', 'es', 'von', 'auch', 'wir', 'ich', 'sind', 'wird', 'werden', 'oder', 'aber',
+    'bei', 'nach', 'noch', 'wie', 'einen', 'einem', 'einer', 'über', 'um', 'kann', 'nur', 'diese', 'dieser',
+    'haben', 'hat', 'ihre', 'ihr', 'wenn', 'durch', 'mehr', 'sein', 'aus', 'zum', 'zur', 'bitte'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'un', 'une', 'du', 'que', 'pour', 'dans', 'qui', 'pas', 'sur',
+    'au', 'avec', 'ce', 'il', 'sont', 'vous', 'nous', 'par', 'plus', 'ne', 'se', 'ou', 'mais', 'cette',
+    'votre', 'vos', 'leur', 'été', 'être', 'aux', 'ces', 'elle', 'comme', 'tout', 'fait', 'peut', 'sans',
+    'très', 'aussi', 'dont', 'nos', 'notre', "l'", "d'", "n'", "qu'", "s'"],
+  es: ['el', 'la', 'de', 'que', 'y', 'los', 'las', 'en', 'un', 'una', 'es', 'por', 'con', 'para', 'no', 'se',
+    'del', 'al', 'lo', 'su', 'sus', 'como', 'más', 'pero', 'este', 'esta', 'ha', 'son', 'está', 'también',
+    'muy', 'hay', 'sobre', 'entre', 'cuando', 'todo', 'nos', 'usted', 'puede', 'sin', 'desde', 'porque',
+    'ya', 'fue', 'ser', 'tiene', 'le'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'una', 'non', 'sono', 'del', 'della', 'le', 'gli', 'con',
+    'si', 'da', 'nel', 'alla', 'dei', 'delle', 'anche', 'questo', 'questa', 'come', 'più', 'ma', 'è', 'ha',
+    'lo', 'al', 'suo', 'sua', 'essere', 'può', 'tutti', 'molto', 'quando', 'perché', 'ci', 'nella', 'degli',
+    'hanno', 'stato', 'loro', 'tuo', 'tua', 'tuoi', 'ti', 'vi', 'nostro', 'vostro', "l'", "un'", "dell'"],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'te', 'zijn', 'met', 'voor', 'er', 'aan',
+    'ook', 'als', 'maar', 'om', 'dit', 'die', 'bij', 'uit', 'worden', 'wordt', 'naar', 'kan', 'nog', 'wel',
+    'geen', 'u', 'uw', 'je', 'jouw', 'wij', 'we', 'ze', 'hun', 'over', 'door', 'deze', 'meer', 'zo', 'heeft',
+    'hebben', 'of', 'tot'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'do', 'da', 'dos', 'das', 'e', 'que', 'em', 'um', 'uma', 'para', 'com',
+    'não', 'por', 'se', 'no', 'na', 'nos', 'mais', 'como', 'mas', 'ao', 'seu', 'sua', 'ou', 'foi', 'ser',
+    'está', 'também', 'são', 'muito', 'você', 'pelo', 'pela', 'isso', 'este', 'esta', 'já', 'tem', 'quando',
+    'entre', 'sem'],
+  sv: ['och', 'att', 'det', 'som', 'en', 'är', 'av', 'för', 'på', 'med', 'har', 'till', 'den', 'inte', 'om',
+    'ett', 'var', 'jag', 'men', 'vi', 'kan', 'de', 'så', 'från', 'eller', 'vid', 'nu', 'också', 'sin', 'sitt',
+    'hur', 'när', 'efter', 'under', 'du', 'ni', 'dig', 'mycket', 'alla', 'detta', 'denna', 'bara'],
+  pl: ['i', 'w', 'na', 'z', 'się', 'nie', 'to', 'że', 'do', 'jest', 'o', 'jak', 'co', 'ale', 'od', 'po', 'tak',
+    'za', 'są', 'dla', 'czy', 'przez', 'tym', 'już', 'może', 'jego', 'jej', 'był', 'być', 'oraz', 'także',
+    'tylko', 'ten', 'ta', 'które', 'który', 'która', 'bardzo', 'a', 'ci', 'mi', 'lub', 'aby', 'jeśli', 'swój',
+    'swoje', 'twój', 'twoje', 'proszę', 'można']
+};
+
+const profileSets = Object.keys(stopwordProfiles).reduce((sets, language) => {
+  sets[language] = new Set(stopwordProfiles[language]);
+  return sets;
+}, {});
+
+// Stopword evidence needed before a text is classified at all
+const MIN_STOPWORD_HITS = 2;
+
+/**
+ * Splits text into lowercase words; elided articles such as "l'" are kept as separate tokens
+ */
+const tokenize = (text) => {
+  return (String(text).toLowerCase().match(/\p{L}+'?/gu) || []);
+};
+
+/**
+ * Gets the language part of a locale ('de-CH' becomes 'de')
+ * @param {string} locale - BCP 47 locale
+ * @returns {string|null} Lowercase language subtag
+ */
+const getLanguage = (locale) => {
+  return locale ? String(locale).split(/[-_]/)[0].toLowerCase() : null;
+};
+
+// Languages written right-to-left, and scripts that make any language right-to-left
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi'];
+const RTL_SCRIPTS = ['arab', 'hebr', 'thaa', 'syrc', 'nkoo', 'adlm', 'rohg'];
+
+/**
+ * Gets the script direction of a locale ('ar-EG' is 'rtl', 'az-Arab' is 'rtl', 'nl-BE' is 'ltr')
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} 'rtl' or 'ltr'
+ */
+const getTextDirection = (locale) => {
+  const subtags = String(locale || '').toLowerCase().split(/[-_]/);
+  return RTL_LANGUAGES.includes(subtags[0]) || subtags.slice(1).some(subtag => RTL_SCRIPTS.includes(subtag))
+    ? 'rtl'
+    : 'ltr';
+};
+
+/**
+ * Identifies the language of a text
+ * The confidence is how clearly the best language beats the runner-up: 1 when no other language matches,
+ * 0 when two languages match equally well
+ * @param {string} text - Text to classify
+ * @returns {{language: string, confidence: number, hits: number}|null} Best language, or null without enough evidence
+ */
+const identifyLanguage = (text) => {
+  const tokens = tokenize(text);
+  const scores = Object.keys(profileSets).map((language) => ({
+    language,
+    hits: tokens.filter(token => profileSets[language].has(token)).length
+  })).sort((a, b) => b.hits - a.hits);
+
+  const [best, runnerUp] = scores;
+  if (best.hits < MIN_STOPWORD_HITS) {
+    return null;
+  }
+
+  return {
+    language: best.language,
+    confidence: Math.round(((best.hits - runnerUp.hits) / best.hits) * 100) / 100,
+    hits: best.hits
+  };
+};
+
+module.exports = {
+  stopwordProfiles,
+  getLanguage,
+  getTextDirection,
+  identifyLanguage
+};
@@ -0,0 +1,48 @@
+/// <reference types="cypress" />
+
+import type { SkippedFrame, TranslationIssue } from './commands';
+import type { TranslationReportOptions } from './reporters';
+import type { TranslationBaselineOptions } from './baseline';
+
+export interface TranslationCheckerPluginOptions {
+  resultsDir?: string;
+  clearOnRun?: boolean;
+  reports?: TranslationReportOptions;
+  baseline?: TranslationBaselineOptions | null;
+}
+
+export interface TranslationPageResult {
+  url: string;
+  urls?: string[];
+  locale?: string;
+  errors: TranslationIssue[];
+  testContext: string;
+  tests?: string[];
+  specs?: string[];
+  spec?: string;
+  runId?: string;
+  skippedFrames?: SkippedFrame[];
+  renderedKeys?: string[];
+  history?: TranslationPageResult[];
+}
+
+export interface TranslationResultStore {
+  read(key: string): TranslationPageResult | null;
+  write(key: string, value: TranslationPageResult): void;
+  update(
+    key: string,
+    updater: (stored: TranslationPageResult | null) => TranslationPageResult
+  ): TranslationPageResult;
+  readAll(): TranslationPageResult[];
+  clear(): void;
+}
+
+export declare const defaultPluginOptions: Required<TranslationCheckerPluginOptions>;
+
+export declare function createResultStore(directory: string): TranslationResultStore;
+
+export declare function setupTranslationChecker(
+  on: Cypress.PluginEvents,
+  config: Cypress.PluginConfigOptions,
+  options?: TranslationCheckerPluginOptions
+): Cypress.PluginConfigOptions;
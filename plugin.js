@@ -0,0 +1,304 @@
+/**
+ * Cypress Translation Checker - Node plugin
+ * Registers the tasks used by the browser-side commands and persists results on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeTranslationReports } = require('./reporters');
+const { defaultBaselineOptions, readBaseline, writeBaseline, compareWithBaseline } = require('./baseline');
+
+/**
+ * Default options for the Node side of the plugin
+ * @param {string} resultsDir - Directory (relative to the project root) where results are written as JSON
+ * @param {boolean} clearOnRun - Whether to remove results from earlier runs when Cypress starts (default: false)
+ * @param {Object} reports - Report writer options, see `defaultReportOptions` in reporters.js
+ * @param {Object|null} baseline - Baseline options, see `defaultBaselineOptions` in baseline.js (default: disabled)
+ */
+const defaultPluginOptions = {
+  resultsDir: 'cypress/translation-results',
+  clearOnRun: false,
+  reports: {},
+  baseline: null
+};
+
+// A lock older than this was left behind by a process that crashed while updating
+const STALE_LOCK_MS = 10000;
+const LOCK_RETRY_MS = 20;
+
+// Function to block the current process for a moment while another process holds a lock
+const sleep = (milliseconds) => {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, milliseconds);
+};
+
+/**
+ * Creates a file-backed store with one JSON file per stored key
+ * Updates lock the key's file, so parallel `cypress run --spec` processes checking the same page
+ * add to its history instead of overwriting each other
+ * @param {string} directory - Absolute path of the results directory
+ */
+const createResultStore = (directory) => {
+  const fileFor = (key) => {
+    const hash = crypto.createHash('sha1').update(String(key)).digest('hex');
+    return path.join(directory, `${hash}.json`);
+  };
+
+  const ensureDirectory = () => {
+    fs.mkdirSync(directory, { recursive: true });
+  };
+
+  const listFiles = (extensions = ['.json']) => {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(directory)
+      .filter(file => extensions.some(extension => file.endsWith(extension)))
+      .map(file => path.join(directory, file));
+  };
+
+  // Writes to a temporary file first, so readers never see a half-written result
+  const writeFile = (file, value) => {
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(value, null, 2));
+    fs.renameSync(temporary, file);
+  };
+
+  const withLock = (file, callback) => {
+    const lock = `${file}.lock`;
+
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lock, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+
+        try {
+          if (Date.now() - fs.statSync(lock).mtimeMs > STALE_LOCK_MS) {
+            fs.unlinkSync(lock);
+          }
+        } catch (statError) {
+          // Released by its owner in the meantime
+        }
+        sleep(LOCK_RETRY_MS);
+      }
+    }
+
+    try {
+      return callback();
+    } finally {
+      try {
+        fs.unlinkSync(lock);
+      } catch (error) {
+        // Already removed as stale by another process
+      }
+    }
+  };
+
+  // Throws on a corrupt file rather than treating it as empty, which would let an update overwrite its history
+  const readFile = (file) => {
+    const content = fs.readFileSync(file, 'utf8');
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Translation result file ${file} is not valid JSON (${error.message}). Fix or remove it, or run the clearTranslationResults task`);
+    }
+  };
+
+  return {
+    read(key) {
+      const file = fileFor(key);
+      return fs.existsSync(file) ? readFile(file) : null;
+    },
+    write(key, value) {
+      ensureDirectory();
+      writeFile(fileFor(key), value);
+    },
+    update(key, updater) {
+      ensureDirectory();
+      const file = fileFor(key);
+      return withLock(file, () => {
+        const value = updater(fs.existsSync(file) ? readFile(file) : null);
+        writeFile(file, value);
+        return value;
+      });
+    },
+    readAll() {
+      return listFiles()
+        .map(readFile)
+        .filter(Boolean);
+    },
+    clear() {
+      // Locks and temporary files left behind by interrupted processes go as well
+      listFiles(['.json', '.lock', '.tmp']).forEach(file => fs.unlinkSync(file));
+    }
+  };
+};
+
+/**
+ * Orders results by URL and locale so reports are stable between runs
+ */
+const compareResults = (a, b) => {
+  return String(a.url).localeCompare(String(b.url)) ||
+    String(a.locale || '').localeCompare(String(b.locale || ''));
+};
+
+/**
+ * Identifies an issue within a page by its location and normalized text
+ */
+const issueIdentity = (issue) => {
+  const text = String(issue.text || '').replace(/\s+/g, ' ').trim();
+  return `${issue.selector || issue.xpath || ''}|${issue.attribute || issue.origin || issue.pseudoElement || ''}|${text}`;
+};
+
+const unionOf = (...lists) => Array.from(new Set(lists.flatMap(list => list || []).filter(Boolean)));
+
+/**
+ * Checks whether a stored history entry is replaced by a new result
+ * A test that runs again in a later spec run replaces its earlier findings for the page
+ */
+const isSuperseded = (entry, result) => {
+  return entry.spec === result.spec &&
+    entry.testContext === result.testContext &&
+    entry.runId !== result.runId;
+};
+
+/**
+ * Aggregates every stored result for a page into one result
+ * Issues are deduplicated by location and text and list every test, spec file and URL that reproduced them
+ * @param {Array<Object>} history - Results stored for the page, oldest first
+ * @returns {Object} Aggregated result
+ */
+const aggregateHistory = (history) => {
+  const latest = history[history.length - 1];
+  const issues = new Map();
+  const frames = new Map();
+
+  history.forEach((entry) => {
+    entry.errors.forEach((issue) => {
+      const identity = issueIdentity(issue);
+      const existing = issues.get(identity) || { ...issue, tests: [], specs: [] };
+      issues.set(identity, {
+        ...existing,
+        tests: unionOf(existing.tests, [entry.testContext]),
+        specs: unionOf(existing.specs, [entry.spec]),
+        ...(existing.screenshot || issue.screenshot ? { screenshot: existing.screenshot || issue.screenshot } : {}),
+        ...(existing.issueScreenshot || issue.issueScreenshot
+          ? { issueScreenshot: existing.issueScreenshot || issue.issueScreenshot }
+          : {}),
+        ...(existing.urls || issue.urls ? { urls: unionOf(existing.urls, issue.urls) } : {})
+      });
+    });
+
+    (entry.skippedFrames || []).forEach((frame) => {
+      frames.set(`${frame.framePath.join(' > ')}|${frame.src}`, frame);
+    });
+  });
+
+  const urls = unionOf(...history.map(entry => entry.urls));
+  const renderedKeys = unionOf(...history.map(entry => entry.renderedKeys)).sort();
+  return {
+    url: latest.url,
+    ...(urls.length > 0 ? { urls } : {}),
+    ...(latest.locale ? { locale: latest.locale } : {}),
+    errors: Array.from(issues.values()),
+    testContext: history[0].testContext,
+    tests: unionOf(...history.map(entry => [entry.testContext])),
+    specs: unionOf(...history.map(entry => [entry.spec])),
+    ...(frames.size > 0 ? { skippedFrames: Array.from(frames.values()) } : {}),
+    ...(renderedKeys.length > 0 ? { renderedKeys } : {})
+  };
+};
+
+/**
+ * Registers the translation checker tasks in `setupNodeEvents`
+ * Results are written to disk so they survive new Cypress processes and separate runs
+ * @param {Function} on - Cypress `on` event registration function
+ * @param {Object} config - Resolved Cypress configuration
+ * @param {Object} options - Plugin options (overrides defaultPluginOptions)
+ * @returns {Object} The Cypress configuration
+ */
+const setupTranslationChecker = (on, config, options = {}) => {
+  const pluginOptions = { ...defaultPluginOptions, ...options };
+  const projectRoot = (config && config.projectRoot) || process.cwd();
+  const store = createResultStore(path.resolve(projectRoot, pluginOptions.resultsDir));
+
+  if (pluginOptions.clearOnRun) {
+    store.clear();
+  }
+
+  // Baseline updates can be requested per run with `--env translationBaseline=update`
+  const baselineOptions = pluginOptions.baseline ? { ...defaultBaselineOptions, ...pluginOptions.baseline } : null;
+  const updateBaseline = Boolean(baselineOptions) &&
+    (baselineOptions.update || (config && config.env && config.env.translationBaseline === 'update'));
+
+  // The per-test history is only needed to update a page; tasks and reports get the aggregate
+  const readResults = () => {
+    return store.readAll()
+      .map(({ history, ...result }) => result)
+      .sort(compareResults);
+  };
+
+  on('task', {
+    storeTranslationResult(result) {
+      // Pages checked in several locales get one result per URL and locale
+      const key = result.locale ? `${result.url}|${result.locale}` : result.url;
+
+      // Every test that checks the page adds to its history instead of overwriting earlier findings
+      store.update(key, (stored) => {
+        const history = ((stored && stored.history) || []).filter(entry => !isSuperseded(entry, result));
+        history.push(result);
+        return { ...aggregateHistory(history), history };
+      });
+      return null;
+    },
+    getTranslationResults() {
+      return readResults();
+    },
+    clearTranslationResults() {
+      store.clear();
+      return null;
+    },
+    applyTranslationBaseline(results) {
+      if (!baselineOptions) {
+        return { mode: 'off', results, known: 0, fixed: [] };
+      }
+
+      const baselineFile = path.resolve(projectRoot, baselineOptions.file);
+      if (updateBaseline) {
+        const recorded = writeBaseline(baselineFile, results);
+        return {
+          mode: 'update',
+          results: results.map(result => ({ ...result, errors: [] })),
+          known: recorded.length,
+          fixed: []
+        };
+      }
+
+      return { mode: 'compare', ...compareWithBaseline(results, readBaseline(baselineFile)) };
+    },
+    writeTranslationReports() {
+      return writeTranslationReports(readResults(), pluginOptions.reports, projectRoot);
+    }
+  });
+
+  // Reports cover every spec of the run, also when the validation spec is not part of it
+  if (((pluginOptions.reports && pluginOptions.reports.formats) || []).length > 0) {
+    on('after:run', () => {
+      writeTranslationReports(readResults(), pluginOptions.reports, projectRoot);
+    });
+  }
+
+  return config;
+};
+
+module.exports = {
+  defaultPluginOptions,
+  createResultStore,
+  setupTranslationChecker
+};
@@ -0,0 +1,9 @@
+export interface PseudoLocalizeOptions {
+  expansion?: number;
+}
+
+export declare function pseudoLocalize<T>(value: T, options?: PseudoLocalizeOptions): T;
+
+export declare function pseudoLocalizeBundle<T>(bundle: T, options?: PseudoLocalizeOptions): T;
+
+export declare function isPseudoLocalized(text: string): boolean;
@@ -0,0 +1,119 @@
+/**
+ * Cypress Translation Checker - Pseudo-localization
+ * Rewrites translation values into a pseudo-locale, so any text that is not pseudo-localized on screen
+ * did not come from the translation bundles
+ */
+
+const { PLACEHOLDER_PATTERN } = require('./catalogs');
+
+const ACCENTED = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+// Placeholders, markup and entities are kept as they are so interpolation keeps working
+const PRESERVED = new RegExp(`(${PLACEHOLDER_PATTERN.source}|<[^>]+>|&#?\\w+;)`);
+
+// ICU plural and select arguments keep their syntax, but the text of their branches is shown and pseudo-localized
+const ICU_BRANCHING = /^\{\s*\w+\s*,\s*(?:plural|selectordinal|select)\b/;
+const ICU_BRANCH = /\{([^{}]*)\}/g;
+
+// A pseudo-localized value: "[" ... "~]"
+const PSEUDO_MARKER = /\[[^[\]]*~\]/;
+const PSEUDO_LETTERS = new Set(Object.values(ACCENTED));
+
+// Function to check for a word written only in pseudo-localized letters, as in "ţéŕɱš" but not in "Crème"
+const hasPseudoWord = text => (text.match(/\p{L}+/gu) || [])
+  .some(word => word.length > 1 && Array.from(word).every(letter => PSEUDO_LETTERS.has(letter)));
+
+// Function to accent the letters of a text
+const accent = text => text.replace(/[A-Za-z]/g, letter => ACCENTED[letter]);
+
+// Function to count the letters of a text
+const countLetters = text => text.replace(/[^A-Za-z]/g, '').length;
+
+/**
+ * Pseudo-localizes a single translation value, e.g. "This is test" becomes "[Ţĥîš îš ţéšţ~~~]"
+ * @param {string} value - Translation value
+ * @param {Object} options - Pseudo-localization options
+ * @param {number} options.expansion - Extra length as a share of the letters, to reveal truncation (default: 0.3)
+ * @returns {string} Pseudo-localized value; other values are returned unchanged
+ */
+const pseudoLocalize = (value, options = {}) => {
+  if (typeof value !== 'string' || value.trim() === '' || PSEUDO_MARKER.test(value)) {
+    return value;
+  }
+
+  const { expansion = 0.3 } = options;
+  const parts = value.split(PRESERVED);
+  const branching = parts.filter((part, index) => index % 2 === 1 && ICU_BRANCHING.test(part));
+  const accented = parts
+    .map((part, index) => {
+      if (index % 2 === 0) {
+        return accent(part);
+      }
+
+      // "{count, plural, one {# item} other {# items}}" becomes "{count, plural, one {# îţéɱ} other {# îţéɱš}}"
+      return ICU_BRANCHING.test(part)
+        ? `{${part.slice(1, -1).replace(ICU_BRANCH, (branch, text) => `{${accent(text)}}`)}}`
+        : part;
+    })
+    .join('');
+
+  // Only one branch of an argument is shown at a time, so its longest branch counts towards the expansion
+  const letters = countLetters(parts.filter((part, index) => index % 2 === 0).join('')) +
+    branching.reduce((total, part) => {
+      const branches = (part.slice(1, -1).match(ICU_BRANCH) || []).map(countLetters);
+      return total + Math.max(0, ...branches);
+    }, 0);
+
+  return `[${accented}${'~'.repeat(Math.max(1, Math.round(letters * expansion)))}]`;
+};
+
+/**
+ * Pseudo-localizes every string in a translation bundle
+ * @param {*} bundle - Parsed bundle (nested objects and arrays) or its JSON source
+ * @param {Object} options - See pseudoLocalize
+ * @returns {*} Bundle of the same shape; JSON sources are returned as JSON, other text is left alone
+ */
+const pseudoLocalizeBundle = (bundle, options = {}) => {
+  if (typeof bundle === 'string') {
+    try {
+      return JSON.stringify(pseudoLocalizeBundle(JSON.parse(bundle), options));
+    } catch (error) {
+      return bundle;
+    }
+  }
+
+  if (Array.isArray(bundle)) {
+    return bundle.map(value => (typeof value === 'string' ? pseudoLocalize(value, options) : pseudoLocalizeBundle(value, options)));
+  }
+
+  if (bundle && typeof bundle === 'object') {
+    return Object.keys(bundle).reduce((result, key) => {
+      const value = bundle[key];
+      result[key] = typeof value === 'string' ? pseudoLocalize(value, options) : pseudoLocalizeBundle(value, options);
+      return result;
+    }, {});
+  }
+
+  return bundle;
+};
+
+/**
+ * Checks whether a text contains pseudo-localized content
+ * Interpolated values (names, numbers) around or inside a pseudo-localized value are accepted
+ * Values with markup render as several text nodes, so a node without the "[" ... "~]" marker
+ * counts when it has a word written only in pseudo-localized letters
+ * @param {string} text - Visible text
+ * @returns {boolean} Whether the text came from a pseudo-localized translation
+ */
+const isPseudoLocalized = (text) => PSEUDO_MARKER.test(text) || hasPseudoWord(String(text));
+
+module.exports = {
+  pseudoLocalize,
+  pseudoLocalizeBundle,
+  isPseudoLocalized
+};
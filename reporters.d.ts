@@ -0,0 +1,97 @@
+import type { SkippedFrame, TranslationIssue } from './commands';
+import type { TranslationPageResult } from './plugin';
+import type { TranslationSeverity } from './rules';
+import type { TranslationCatalog } from './index';
+
+export type TranslationReportFormat = 'junit' | 'json' | 'sarif' | 'html' | 'coverage';
+
+export interface TranslationReportOptions {
+  formats?: TranslationReportFormat[];
+  outputDir?: string;
+  fileNames?: Partial<Record<TranslationReportFormat, string>>;
+  catalogs?: Record<string, TranslationCatalog>;
+}
+
+export interface TranslationJsonReport {
+  schemaVersion: 1;
+  tool: { name: string; version: string };
+  generatedAt: string;
+  summary: {
+    pages: number;
+    pagesWithIssues: number;
+    issues: number;
+    severities: Record<TranslationSeverity, number>;
+  };
+  pages: Array<{
+    url: string;
+    urls: string[];
+    locale: string | null;
+    testContext: string | null;
+    tests: string[];
+    specs: string[];
+    issues: Array<{
+      type: string;
+      ruleId: string | null;
+      severity: TranslationSeverity;
+      text: string;
+      element: string | null;
+      selector: string | null;
+      xpath: string | null;
+      attribute: string | null;
+      origin: string | null;
+      pseudoElement: '::before' | '::after' | null;
+      key: string | null;
+      detectedLanguage: string | null;
+      confidence: number | null;
+      expectedDirection: 'ltr' | 'rtl' | null;
+      layout: TranslationIssue['layout'] | null;
+      measurements: TranslationIssue['measurements'] | null;
+      formatting: TranslationIssue['formatting'] | null;
+      framePath: string[] | null;
+      frameUrl: string | null;
+      urls: string[] | null;
+      screenshot: string | null;
+      issueScreenshot: string | null;
+      tests: string[];
+      specs: string[];
+    }>;
+    skippedFrames: SkippedFrame[];
+  }>;
+}
+
+export interface TranslationKeyCoverageReport {
+  schemaVersion: 1;
+  tool: { name: string; version: string };
+  generatedAt: string;
+  summary: {
+    pages: number;
+    keys: number;
+    rendered: number;
+    neverRendered: number;
+    coverage: number | null;
+  };
+  keys: Array<{ key: string; rendered: boolean; pages: string[] }>;
+  neverRendered: string[];
+  unknownKeys: string[];
+}
+
+export declare const defaultReportOptions: Required<TranslationReportOptions>;
+
+export declare function toJUnit(results: TranslationPageResult[]): string;
+
+export declare function toJson(results: TranslationPageResult[]): TranslationJsonReport;
+
+export declare function toSarif(results: TranslationPageResult[]): Record<string, unknown>;
+
+export declare function toHtml(results: TranslationPageResult[], outputDir?: string | null): string;
+
+export declare function toKeyCoverage(
+  results: TranslationPageResult[],
+  catalogs?: Record<string, TranslationCatalog>
+): TranslationKeyCoverageReport;
+
+export declare function writeTranslationReports(
+  results: TranslationPageResult[],
+  options?: TranslationReportOptions,
+  projectRoot?: string
+): string[];
@@ -0,0 +1,406 @@
+/**
+ * Cypress Translation Checker - Report writers
+ * Turn the aggregated results from `getTranslationResults` into files for CI dashboards
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { version, homepage } = require('./package.json');
+const { builtInRules, getSeverity, countBySeverity } = require('./rules');
+const { builtInDetectors } = require('./detectors');
+const { getCatalogKeys } = require('./catalogs');
+
+const TOOL_NAME = 'cypress-translation-checker';
+const JSON_SCHEMA_VERSION = 1;
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+// Descriptions of the rules that ship with the checker, by rule id
+const knownRules = Object.values(builtInDetectors).reduce((rules, detector) => {
+  return { ...rules, [detector.id]: detector };
+}, builtInRules);
+
+/**
+ * Default report options
+ * @param {Array<string>} formats - Enabled formats: 'junit', 'json', 'sarif', 'html' and/or 'coverage' (default: none)
+ * @param {string} outputDir - Directory (relative to the project root) where reports are written
+ * @param {Object<string, string>} fileNames - File name per format, relative to outputDir
+ * @param {Object<string, Object>} catalogs - Catalogs keyed by locale that the key coverage is measured against
+ */
+const defaultReportOptions = {
+  formats: [],
+  outputDir: 'cypress/translation-reports',
+  fileNames: {
+    junit: 'translations.junit.xml',
+    json: 'translations.json',
+    sarif: 'translations.sarif',
+    html: 'translations.html',
+    coverage: 'translation-key-coverage.json'
+  },
+  catalogs: {}
+};
+
+const escapeXml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const escapeHtml = (value) => {
+  return escapeXml(value).replace(/&apos;/g, '&#39;');
+};
+
+const pageName = (result) => {
+  return result.locale ? `${result.url} [${result.locale}]` : result.url;
+};
+
+const issueLocation = (issue) => {
+  const location = issue.selector || issue.xpath || 'N/A';
+  return issue.framePath ? `${issue.framePath.join(' > ')} | ${location}` : location;
+};
+
+const ruleIdOf = issue => issue.ruleId || issue.type;
+
+// Where on the element the text was found, besides its text content
+const sourceOf = issue => issue.attribute || issue.origin || issue.pseudoElement || null;
+
+const describeIssue = (issue) => {
+  const attributePart = sourceOf(issue) ? ` [${sourceOf(issue)}]` : '';
+  const keyPart = issue.key ? ` (key: ${issue.key})` : '';
+  return `${getSeverity(issue).toUpperCase()} ${ruleIdOf(issue)}: ${String(issue.type).toUpperCase()}${attributePart} in <${issue.element}> at ${issueLocation(issue)}: "${issue.text}"${keyPart}`;
+};
+
+const testsOf = (result) => {
+  return Array.isArray(result.tests) ? result.tests : [result.testContext].filter(Boolean);
+};
+
+const errorsOf = result => result.errors.filter(issue => getSeverity(issue) === 'error');
+
+const summarize = (results) => {
+  return {
+    pages: results.length,
+    pagesWithIssues: results.filter(result => result.errors.length > 0).length,
+    issues: results.reduce((total, result) => total + result.errors.length, 0),
+    severities: countBySeverity(results.flatMap(result => result.errors))
+  };
+};
+
+/**
+ * Builds a JUnit XML report with one testcase per page
+ * Only error-severity issues fail a testcase; warnings and info issues are listed in its output
+ * @param {Array<Object>} results - Results from `getTranslationResults`
+ * @returns {string} JUnit XML document
+ */
+const toJUnit = (results) => {
+  const pages = results.length;
+  const failedPages = results.filter(result => errorsOf(result).length > 0).length;
+  const testcases = results.map((result) => {
+    const name = escapeXml(pageName(result));
+    if (result.errors.length === 0) {
+      return `    <testcase classname="translations" name="${name}"/>`;
+    }
+
+    const errors = errorsOf(result);
+    const otherIssues = result.errors.filter(issue => getSeverity(issue) !== 'error');
+    const output = [
+      testsOf(result).length > 0 ? `Tests: ${testsOf(result).join(', ')}` : null,
+      ...otherIssues.map(describeIssue)
+    ].filter(Boolean).join('\n');
+    const details = errors.map((issue, index) => `${index + 1}) ${describeIssue(issue)}`).join('\n');
+    return [
+      `    <testcase classname="translations" name="${name}">`,
+      errors.length > 0
+        ? `      <failure message="${escapeXml(`${errors.length} translation error(s)`)}" type="TranslationIssue">${escapeXml(details)}</failure>`
+        : null,
+      output ? `      <system-out>${escapeXml(output)}</system-out>` : null,
+      '    </testcase>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Translation validation" tests="${pages}" failures="${failedPages}">`,
+    `  <testsuite name="translations" tests="${pages}" failures="${failedPages}" errors="0" skipped="0">`,
+    ...testcases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Builds a JSON report with a stable schema
+ * Every issue has the same set of properties; missing values are null
+ * @param {Array<Object>} results - Results from `getTranslationResults`
+ * @returns {Object} JSON report
+ */
+const toJson = (results) => {
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    tool: { name: TOOL_NAME, version },
+    generatedAt: new Date().toISOString(),
+    summary: summarize(results),
+    pages: results.map(result => ({
+      url: result.url,
+      urls: result.urls || [result.url],
+      locale: result.locale || null,
+      testContext: result.testContext || null,
+      tests: testsOf(result),
+      specs: result.specs || [],
+      issues: result.errors.map(issue => ({
+        type: issue.type,
+        ruleId: issue.ruleId || null,
+        severity: getSeverity(issue),
+        text: issue.text,
+        element: issue.element || null,
+        selector: issue.selector || null,
+        xpath: issue.xpath || null,
+        attribute: issue.attribute || null,
+        origin: issue.origin || null,
+        pseudoElement: issue.pseudoElement || null,
+        key: issue.key || null,
+        detectedLanguage: issue.detectedLanguage || null,
+        confidence: issue.confidence === undefined ? null : issue.confidence,
+        expectedDirection: issue.expectedDirection || null,
+        layout: issue.layout || null,
+        measurements: issue.measurements || null,
+        formatting: issue.formatting || null,
+        framePath: issue.framePath || null,
+        frameUrl: issue.frameUrl || null,
+        urls: issue.urls || null,
+        screenshot: issue.screenshot || null,
+        issueScreenshot: issue.issueScreenshot || null,
+        tests: issue.tests || [],
+        specs: issue.specs || []
+      })),
+      skippedFrames: result.skippedFrames || []
+    }))
+  };
+};
+
+/**
+ * Builds a SARIF 2.1.0 log for code-scanning UIs
+ * Each rule id becomes a SARIF rule; each issue a result located at its page URL
+ * @param {Array<Object>} results - Results from `getTranslationResults`
+ * @returns {Object} SARIF log
+ */
+const toSarif = (results) => {
+  const ruleIds = [];
+  results.forEach((result) => {
+    result.errors.forEach((issue) => {
+      if (!ruleIds.includes(ruleIdOf(issue))) {
+        ruleIds.push(ruleIdOf(issue));
+      }
+    });
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version,
+          informationUri: homepage,
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: {
+              text: knownRules[id] ? knownRules[id].description : `Translation issue: ${id}`
+            }
+          }))
+        }
+      },
+      results: results.flatMap(result => result.errors.map(issue => ({
+        ruleId: ruleIdOf(issue),
+        ruleIndex: ruleIds.indexOf(ruleIdOf(issue)),
+        level: SARIF_LEVELS[getSeverity(issue)],
+        message: { text: describeIssue(issue) },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: result.url }
+          },
+          logicalLocations: [{
+            name: issueLocation(issue),
+            fullyQualifiedName: issue.xpath || issueLocation(issue),
+            kind: 'element'
+          }]
+        }],
+        properties: {
+          ...(result.locale ? { locale: result.locale } : {}),
+          ...(issue.tests ? { tests: issue.tests } : result.testContext ? { testContext: result.testContext } : {}),
+          ...(issue.attribute ? { attribute: issue.attribute } : {}),
+          ...(issue.origin ? { origin: issue.origin } : {}),
+          ...(issue.pseudoElement ? { pseudoElement: issue.pseudoElement } : {}),
+          ...(issue.key ? { key: issue.key } : {})
+        }
+      })))
+    }]
+  };
+};
+
+/**
+ * Builds a self-contained HTML report grouped by page and issue
+ * @param {Array<Object>} results - Results from `getTranslationResults`
+ * @param {string} outputDir - Directory the report is written to; screenshot links are made relative to it
+ * @returns {string} HTML document
+ */
+const toHtml = (results, outputDir = null) => {
+  const linkTo = (file, label) => {
+    const href = outputDir ? path.relative(outputDir, file).split(path.sep).join('/') : file;
+    return `<a href="${escapeHtml(encodeURI(href))}">${label}</a>`;
+  };
+
+  const summary = summarize(results);
+  const sections = results.map((result) => {
+    const counts = countBySeverity(result.errors);
+    const status = result.errors.length === 0
+      ? 'clean'
+      : `${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} info`;
+    const rows = result.errors.map((issue, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(ruleIdOf(issue))}<br><small>${escapeHtml(getSeverity(issue))}</small></td>
+            <td>${escapeHtml(issue.type)}${sourceOf(issue) ? ` <small>[${escapeHtml(sourceOf(issue))}]</small>` : ''}</td>
+            <td><code>${escapeHtml(issue.text)}</code>${issue.key ? `<br><small>key: ${escapeHtml(issue.key)}</small>` : ''}</td>
+            <td>&lt;${escapeHtml(issue.element)}&gt;</td>
+            <td><code>${escapeHtml(issueLocation(issue))}</code></td>
+            <td>${[
+              issue.screenshot ? linkTo(issue.screenshot, 'page') : '',
+              issue.issueScreenshot ? linkTo(issue.issueScreenshot, 'element') : ''
+            ].filter(Boolean).join(' | ')}</td>
+          </tr>`).join('');
+
+    return `
+    <section class="${errorsOf(result).length === 0 ? 'page clean' : 'page failed'}">
+      <h2>${escapeHtml(pageName(result))} <span class="status">${escapeHtml(status)}</span></h2>
+      ${testsOf(result).length > 0 ? `<p class="context">Tests: ${testsOf(result).map(escapeHtml).join(', ')}</p>` : ''}
+      ${(result.urls || []).length > 1 ? `<p class="context">URLs: ${result.urls.map(escapeHtml).join(', ')}</p>` : ''}
+      ${(result.skippedFrames || []).map(frame => `<p class="context">Frame not checkable (${escapeHtml(frame.reason)}): <code>${escapeHtml(frame.framePath.join(' > '))}</code> ${escapeHtml(frame.src)}</p>`).join('')}
+      ${result.errors.length === 0 ? '' : `
+      <table>
+        <thead>
+          <tr><th>#</th><th>Rule</th><th>Type</th><th>Text</th><th>Element</th><th>Selector</th><th>Screenshots</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Translation validation report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+    .page { border: 1px solid #e5e7eb; border-radius: 6px; margin-bottom: 1.5rem; padding: 0 1rem 1rem; }
+    .page.failed { border-left: 4px solid #e11d48; }
+    .page.clean { border-left: 4px solid #16a34a; }
+    .status { font-size: 0.8em; font-weight: normal; color: #6b7280; }
+    .context { color: #6b7280; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4rem; text-align: left; vertical-align: top; }
+    code { word-break: break-all; }
+  </style>
+</head>
+<body>
+  <h1>Translation validation report</h1>
+  <p>${summary.pages} page(s) checked, ${summary.pagesWithIssues} with issues, ${summary.issues} issue(s) in total (${summary.severities.error} error(s), ${summary.severities.warning} warning(s), ${summary.severities.info} info).</p>${sections}
+</body>
+</html>
+`;
+};
+
+/**
+ * Builds the key coverage report: which catalog keys were seen rendered, on which pages, and which never were
+ * Keys are recorded by pages checked with the `keyCoverage` option; without catalogs only the rendered keys are listed
+ * @param {Array<Object>} results - Results from `getTranslationResults`
+ * @param {Object<string, Object>} catalogs - Catalogs keyed by locale
+ * @returns {Object} Key coverage report
+ */
+const toKeyCoverage = (results, catalogs = {}) => {
+  const pagesByKey = new Map();
+  results.forEach((result) => {
+    (result.renderedKeys || []).forEach((key) => {
+      pagesByKey.set(key, [...new Set([...(pagesByKey.get(key) || []), result.url])]);
+    });
+  });
+
+  const catalogKeys = Array.from(getCatalogKeys(catalogs)).sort();
+  const knownKeys = new Set(catalogKeys);
+  const keys = (catalogKeys.length > 0 ? catalogKeys : Array.from(pagesByKey.keys()).sort()).map(key => ({
+    key,
+    rendered: pagesByKey.has(key),
+    pages: (pagesByKey.get(key) || []).sort()
+  }));
+  const rendered = keys.filter(entry => entry.rendered).length;
+
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    tool: { name: TOOL_NAME, version },
+    generatedAt: new Date().toISOString(),
+    summary: {
+      pages: results.length,
+      keys: keys.length,
+      rendered,
+      neverRendered: keys.length - rendered,
+      coverage: keys.length > 0 ? Math.round((rendered / keys.length) * 1000) / 10 : null
+    },
+    keys,
+    neverRendered: keys.filter(entry => !entry.rendered).map(entry => entry.key),
+    // Keys marked in the markup that no catalog defines
+    unknownKeys: catalogKeys.length > 0
+      ? Array.from(pagesByKey.keys()).filter(key => !knownKeys.has(key)).sort()
+      : []
+  };
+};
+
+const serializers = {
+  junit: toJUnit,
+  json: results => `${JSON.stringify(toJson(results), null, 2)}\n`,
+  sarif: results => `${JSON.stringify(toSarif(results), null, 2)}\n`,
+  html: toHtml,
+  coverage: (results, outputDir, options) => `${JSON.stringify(toKeyCoverage(results, options.catalogs), null, 2)}\n`
+};
+
+/**
+ * Writes the enabled report formats to disk
+ * @param {Array<Object>} results - Results from `getTranslationResults`
+ * @param {Object} options - Report options (overrides defaultReportOptions)
+ * @param {string} projectRoot - Directory relative paths are resolved against
+ * @returns {Array<string>} Absolute paths of the written files
+ */
+const writeTranslationReports = (results, options = {}, projectRoot = process.cwd()) => {
+  const reportOptions = {
+    ...defaultReportOptions,
+    ...options,
+    fileNames: { ...defaultReportOptions.fileNames, ...(options.fileNames || {}) }
+  };
+  const outputDir = path.resolve(projectRoot, reportOptions.outputDir);
+
+  return reportOptions.formats.map((format) => {
+    const serialize = serializers[format];
+    if (!serialize) {
+      throw new Error(`Unknown translation report format "${format}"`);
+    }
+
+    const file = path.resolve(outputDir, reportOptions.fileNames[format]);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, serialize(results, path.dirname(file), reportOptions));
+    return file;
+  });
+};
+
+module.exports = {
+  defaultReportOptions,
+  toJUnit,
+  toJson,
+  toSarif,
+  toHtml,
+  toKeyCoverage,
+  writeTranslationReports
+};
@@ -0,0 +1,46 @@
+import type { TranslationDetectorName } from './detectors';
+
+export type TranslationSeverity = 'error' | 'warning' | 'info';
+
+export interface TranslationRule {
+  id: string;
+  description: string;
+  severity: TranslationSeverity | 'off';
+}
+
+export interface TranslationPatternRule {
+  id: string;
+  pattern: string | RegExp;
+  description?: string;
+  severity?: TranslationSeverity | 'off';
+}
+
+export type TranslationRuleSetting =
+  | TranslationSeverity
+  | 'off'
+  | { severity?: TranslationSeverity | 'off'; description?: string };
+
+export declare const SEVERITIES: TranslationSeverity[];
+
+export declare const builtInRules: Record<string, Omit<TranslationRule, 'id'>>;
+
+export declare function getPatternRules(
+  patterns?: Array<string | RegExp | TranslationPatternRule>
+): Array<Required<TranslationPatternRule> & TranslationRule>;
+
+export declare function getConfiguredPatternRules(config: {
+  patterns?: Array<string | RegExp | TranslationPatternRule>;
+  detectors?: TranslationDetectorName[];
+}): Array<Required<TranslationPatternRule> & TranslationRule>;
+
+export declare function createRuleRegistry(config: {
+  patterns?: Array<string | RegExp | TranslationPatternRule>;
+  detectors?: TranslationDetectorName[];
+  rules?: Record<string, TranslationRuleSetting>;
+}): Map<string, TranslationRule>;
+
+export declare function getSeverity(issue: { severity?: TranslationSeverity }): TranslationSeverity;
+
+export declare function countBySeverity(
+  issues: Array<{ severity?: TranslationSeverity }>
+): Record<TranslationSeverity, number>;
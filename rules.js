@@ -0,0 +1,176 @@
+/**
+ * Cypress Translation Checker - Rules
+ * Every detector reports its issues under a named rule with a description and a severity
+ */
+
+const { getDetectorRules } = require('./detectors');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Rules of the built-in detectors
+ * Plain entries of `patterns` share the `raw-key-pattern` rule
+ */
+const builtInRules = {
+  'raw-key-pattern': {
+    description: 'Text matches a pattern of an untranslated key',
+    severity: 'error'
+  },
+  'catalog-key': {
+    description: 'Text is a key from the translation catalogs',
+    severity: 'error'
+  },
+  'source-fallback': {
+    description: 'Text is shown in the source locale instead of the expected locale',
+    severity: 'error'
+  },
+  // Clipped text is lost to the user; ellipsis and wrapping are often accepted by design, so they are warnings
+  'text-overflow': {
+    description: 'Text overflows an element that clips it',
+    severity: 'error'
+  },
+  'text-ellipsis': {
+    description: 'Text is cut off with an ellipsis',
+    severity: 'warning'
+  },
+  'text-wrap': {
+    description: 'Text wraps onto more lines than allowed',
+    severity: 'warning'
+  },
+  // Only reported when pseudo-localization is enabled, see pseudo.js
+  'hardcoded-string': {
+    description: 'Text was not pseudo-localized, so it does not come from the translation bundles',
+    severity: 'error'
+  },
+  // Text missing from the catalogs may still be legitimate (user data, brand names), so it is a warning
+  'probable-hardcoded-string': {
+    description: 'Text matches no value of the catalog for the locale',
+    severity: 'warning'
+  },
+  // Numbers in text can be versions or codes rather than amounts, so wrong formats are warnings
+  'locale-format': {
+    description: 'Number, date, time or currency amount is not formatted for the locale',
+    severity: 'warning'
+  },
+  // The root lang and dir are set by the application, so a mismatch is certain
+  'lang-attribute': {
+    description: 'The lang of the document does not match the locale',
+    severity: 'error'
+  },
+  'dir-attribute': {
+    description: 'The direction of the document does not match the script of the locale',
+    severity: 'error'
+  },
+  'lang-content': {
+    description: 'The lang attribute of an element contradicts the language of its content',
+    severity: 'warning'
+  },
+  // Language identification is statistical, so its findings are warnings by default
+  'wrong-language': {
+    description: 'Text is in another language than the page',
+    severity: 'warning'
+  }
+};
+
+const assertSeverity = (id, severity) => {
+  if (severity !== 'off' && !SEVERITIES.includes(severity)) {
+    throw new Error(`Unknown severity "${severity}" for translation rule "${id}" (use ${SEVERITIES.join(', ')} or off)`);
+  }
+};
+
+/**
+ * Converts the `patterns` option into pattern rules
+ * Entries can be strings, RegExps or rule objects: { id, pattern, description, severity }
+ * @param {Array<string|RegExp|Object>} patterns - Configured patterns
+ * @returns {Array<{id: string, pattern: string|RegExp, description: string, severity: string}>} Pattern rules in order
+ */
+const getPatternRules = (patterns = []) => {
+  return patterns.map((entry) => {
+    if (typeof entry === 'string' || entry instanceof RegExp) {
+      return { id: 'raw-key-pattern', pattern: entry, ...builtInRules['raw-key-pattern'] };
+    }
+
+    if (!entry || !entry.id || entry.pattern === undefined) {
+      throw new Error('Translation pattern rules need an "id" and a "pattern"');
+    }
+
+    const severity = entry.severity || 'error';
+    assertSeverity(entry.id, severity);
+    return {
+      id: entry.id,
+      pattern: entry.pattern,
+      description: entry.description || `Text matches ${entry.pattern}`,
+      severity
+    };
+  });
+};
+
+/**
+ * Gets the pattern rules of a configuration: its `patterns` followed by the enabled built-in `detectors`
+ * @param {Object} config - Checker configuration with `patterns` and `detectors`
+ * @returns {Array<Object>} Pattern rules in order
+ */
+const getConfiguredPatternRules = (config) => {
+  return getPatternRules([...(config.patterns || []), ...getDetectorRules(config.detectors)]);
+};
+
+/**
+ * Builds the rules in effect for a configuration
+ * Built-in rules come first, then pattern and detector rules; `rules` changes the severity of any rule by id
+ * @param {Object} config - Checker configuration with `patterns` and `rules`
+ * @returns {Map<string, {id: string, description: string, severity: string}>} Rules by id
+ */
+const createRuleRegistry = (config) => {
+  const registry = new Map();
+
+  Object.entries(builtInRules).forEach(([id, rule]) => {
+    registry.set(id, { id, ...rule });
+  });
+
+  getConfiguredPatternRules(config).forEach(({ id, description, severity }) => {
+    if (id !== 'raw-key-pattern') {
+      registry.set(id, { id, description, severity });
+    }
+  });
+
+  Object.entries(config.rules || {}).forEach(([id, setting]) => {
+    const rule = registry.get(id) || { id, description: id, severity: 'error' };
+    const severity = typeof setting === 'string' ? setting : setting.severity || rule.severity;
+    assertSeverity(id, severity);
+    registry.set(id, {
+      ...rule,
+      ...(typeof setting === 'object' && setting.description ? { description: setting.description } : {}),
+      severity
+    });
+  });
+
+  return registry;
+};
+
+/**
+ * Gets the severity of an issue
+ * Issues stored before rules existed are errors
+ */
+const getSeverity = (issue) => issue.severity || 'error';
+
+/**
+ * Counts issues per severity
+ * @param {Array<Object>} issues - Translation issues
+ * @returns {{error: number, warning: number, info: number}} Number of issues per severity
+ */
+const countBySeverity = (issues) => {
+  return issues.reduce((counts, issue) => {
+    counts[getSeverity(issue)] = (counts[getSeverity(issue)] || 0) + 1;
+    return counts;
+  }, { error: 0, warning: 0, info: 0 });
+};
+
+module.exports = {
+  SEVERITIES,
+  builtInRules,
+  getPatternRules,
+  getConfiguredPatternRules,
+  createRuleRegistry,
+  getSeverity,
+  countBySeverity
+};
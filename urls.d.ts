@@ -0,0 +1,14 @@
+export interface UrlNormalizationOptions {
+  stripQuery?: boolean;
+  stripHash?: boolean;
+  dropParams?: string[];
+  routes?: string[];
+}
+
+export declare function templateToRegExp(template: string): RegExp;
+
+export declare function globToRegExp(glob: string): RegExp;
+
+export declare function matchesUrl(url: string, matcher: string | RegExp): boolean;
+
+export declare function normalizeUrl(url: string, options?: UrlNormalizationOptions): string;
@@ -0,0 +1,136 @@
+/**
+ * URL normalization helpers
+ * Group concrete page URLs (e.g. /orders/123?tab=2) into routes (e.g. /orders/:id)
+ */
+
+const templateCache = new Map();
+
+/**
+ * Converts a route template into a regular expression
+ * `:name` matches one path segment, `*` matches any remainder
+ * @param {string} template - Route template such as '/orders/:id' or '#/orders/:id'
+ * @returns {RegExp} Expression matching the whole path
+ */
+const templateToRegExp = (template) => {
+  if (templateCache.has(template)) {
+    return templateCache.get(template);
+  }
+
+  const source = template
+    .split(/(:[A-Za-z0-9_]+|\*)/)
+    .map((part) => {
+      if (part === '*') {
+        return '.*';
+      }
+      if (part.startsWith(':')) {
+        return '[^/?#]+';
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  const expression = new RegExp(`^${source}/?$`);
+  templateCache.set(template, expression);
+  return expression;
+};
+
+/**
+ * Converts a URL glob into a regular expression
+ * `**` matches anything, `*` matches anything except '/'
+ * @param {string} glob - Glob such as '/admin/**' or 'https://*.example.com/**'
+ * @returns {RegExp} Expression matching the whole value
+ */
+const globToRegExp = (glob) => {
+  const source = glob
+    .split(/(\*\*|\*)/)
+    .map((part) => {
+      if (part === '**') {
+        return '.*';
+      }
+      if (part === '*') {
+        return '[^/]*';
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Checks whether a URL matches a glob or regular expression
+ * Globs starting with '/' are matched against the path, other globs and expressions against the whole URL
+ * @param {string} url - Concrete page URL
+ * @param {string|RegExp} matcher - Glob or regular expression
+ * @returns {boolean} Whether the URL matches
+ */
+const matchesUrl = (url, matcher) => {
+  if (matcher instanceof RegExp) {
+    return matcher.test(url);
+  }
+
+  let target = url;
+  if (String(matcher).startsWith('/')) {
+    try {
+      target = new URL(url).pathname;
+    } catch (error) {
+      // Not an absolute URL; match the value as given
+    }
+  }
+
+  return globToRegExp(String(matcher)).test(target);
+};
+
+/**
+ * Normalizes a page URL so pages that only differ by ids, parameters or hash share one key
+ * @param {string} url - Concrete page URL
+ * @param {Object} options - Normalization options
+ * @param {boolean} options.stripQuery - Remove the whole query string
+ * @param {boolean} options.stripHash - Remove the hash
+ * @param {Array<string>} options.dropParams - Query parameters to remove
+ * @param {Array<string>} options.routes - Route templates; paths starting with '#' match hash-routed URLs
+ * @returns {string} Normalized URL
+ */
+const normalizeUrl = (url, options = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  (options.dropParams || []).forEach(param => parsed.searchParams.delete(param));
+
+  if (options.stripQuery) {
+    parsed.search = '';
+  }
+
+  (options.routes || []).some((template) => {
+    const isHashRoute = template.startsWith('#');
+    const path = isHashRoute ? parsed.hash.split('?')[0] : parsed.pathname;
+    if (!templateToRegExp(template).test(path)) {
+      return false;
+    }
+
+    if (isHashRoute) {
+      parsed.hash = template;
+    } else {
+      parsed.pathname = template;
+    }
+    return true;
+  });
+
+  if (options.stripHash) {
+    parsed.hash = '';
+  }
+
+  // Templates are kept readable in the normalized URL (e.g. /orders/:id instead of /orders/%3Aid)
+  return decodeURI(parsed.toString());
+};
+
+module.exports = {
+  templateToRegExp,
+  globToRegExp,
+  matchesUrl,
+  normalizeUrl
+};